@@ -0,0 +1,222 @@
+// <wix-blog-list-optimizer> on the blog fixtures: remove-and-reinject. The
+// deferred scripts are async scripts of blog.html, and only preloaded in
+// blog-preloaded.html, where the optimizer has to inject them.
+const { after, afterEach, before, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { openPage } = require('./helpers/page');
+
+const COMPLETE = 'wix-blog-list-optimization-complete';
+
+const fileName = src => src.split('/').pop();
+const scripts = (page, selector = 'script[src]') => Array.from(page.document.querySelectorAll(selector));
+const injected = page => scripts(page, 'script[data-wix-optimized="injected"]').map(script => fileName(script.src));
+
+describe('wix-blog-list-optimizer', () => {
+    let server;
+    let page;
+    let element;
+
+    before(async () => {
+        server = await startFixtureServer();
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => server.reset());
+
+    afterEach(() => {
+        if (page) page.close();
+        page = null;
+    });
+
+    const open = async (pathname = '/blog') => {
+        page = await openPage(server, pathname);
+        element = page.document.querySelector('wix-blog-list-optimizer');
+        return page;
+    };
+
+    const criticalLoaded = () => ['main', 'thunderbolt-commons'].every(id => element.scheduler.nodes.get(id).state === 'loaded');
+    const runs = (page, name) => page.executed().filter(path => path.includes(name)).length;
+
+    // Critical scripts in, then the idle fallback, then the deferred tier
+    const runToCompletion = async () => {
+        await page.waitFor(criticalLoaded);
+        await page.clock.tick(800);
+        await page.waitFor(() => page.events(COMPLETE).length > 0);
+    };
+
+    it('picks the blog-list profile and its strategy', async () => {
+        await open();
+
+        assert.equal(element.profile.name, 'blog-list');
+        assert.equal(element.profile.strategy, 'remove-and-reinject');
+        assert.equal(element.getOptimizationStats().arm, 'treatment');
+    });
+
+    it('waits for the critical scripts the page already has instead of running them again', async () => {
+        server.delay('main.', 200);
+        await open();
+        await page.waitFor(criticalLoaded);
+
+        for (const name of ['main.', 'thunderbolt-commons.']) {
+            const [original] = scripts(page, `script[src*="${name}"]`);
+            assert.equal(original.hasAttribute('data-wix-optimized'), false, name);
+            assert.ok(element.scriptActions.get(original.src).actions.includes('reused'), name);
+            assert.equal(page.fetched(name), 1, name);
+            assert.equal(runs(page, name), 1, name);
+        }
+        assert.equal(injected(page).length, 0);
+    });
+
+    it('holds the deferred tier until the idle fallback has passed', async () => {
+        await open('/blog-preloaded');
+        await page.waitFor(criticalLoaded);
+
+        await page.clock.tick(799);
+        assert.equal(injected(page).length, 0);
+
+        await page.clock.tick(1);
+        await page.waitFor(() => injected(page).length === 4);
+        assert.deepEqual(injected(page).sort(), [
+            'animations.9a8b7c6d.chunk.min.js',
+            'consentPolicy.5c3d8e1f.chunk.min.js',
+            'react.production.min.js',
+            'requirejs.min.js'
+        ]);
+    });
+
+    it('loads a widget only after the scripts it depends on are ready', async () => {
+        server.delay('requirejs.min.js', 200);
+        await open('/blog-preloaded');
+        await runToCompletion();
+
+        let ranBeforeViewer = null;
+        new page.window.MutationObserver(() => {
+            const viewer = injected(page).includes('BlogViewerWidgetNoCss.bundle.min.js');
+            if (viewer && !ranBeforeViewer) ranBeforeViewer = page.executed().map(fileName);
+        }).observe(page.document.head, { childList: true });
+
+        await page.settle(element.loadOptionalScript('blog-viewer'));
+
+        assert.ok(ranBeforeViewer.includes('react.production.min.js'));
+        assert.ok(ranBeforeViewer.includes('requirejs.min.js'));
+        assert.equal(runs(page, 'BlogViewerWidgetNoCss'), 1);
+    });
+
+    it('never runs a bundle twice', async () => {
+        await open();
+        await runToCompletion();
+
+        await page.settle(Promise.all([element.loadOptionalScript('forms'), element.loadOptionalScript('forms')]));
+        await page.settle(element.loadOptionalScript('forms'));
+        await page.settle(element.forceLoadScript(scripts(page, 'script[src*="react.production"]')[0].src));
+        // The same bundle redeployed, asked for with a cache buster
+        await page.settle(element.forceLoadScript(`${server.url}/services/wix-thunderbolt/dist/main.0a1b2c3d.bundle.min.js?v=2`));
+
+        // The page's form-app copy was taken out while loading; it ran anyway
+        assert.equal(injected(page).length, 0);
+        assert.equal(page.fetched('main.'), 1);
+
+        const paths = page.executed();
+        assert.equal(paths.length, new Set(paths).size);
+        assert.equal(element.getOptimizationStats().identity.duplicates.length, 0);
+    });
+
+    it('injects a preloaded script once, however often it is asked for', async () => {
+        await open('/blog-preloaded');
+        await runToCompletion();
+
+        await page.settle(Promise.all([element.loadOptionalScript('blog-viewer'), element.loadOptionalScript('blog-viewer')]));
+        await page.settle(element.forceLoadScript(scripts(page, 'script[data-wix-optimized="injected"]')[0].src));
+
+        const names = injected(page);
+        assert.equal(names.length, new Set(names).size);
+        assert.equal(names.filter(name => name === 'BlogViewerWidgetNoCss.bundle.min.js').length, 1);
+
+        const paths = page.executed();
+        assert.equal(paths.length, new Set(paths).size);
+        assert.equal(element.getOptimizationStats().identity.duplicates.length, 0);
+    });
+
+    it('takes the optional scripts out of the page until they are needed', async () => {
+        await open();
+
+        for (const name of ['BlogViewerWidgetNoCss', 'group_6', 'form-app-wix-ricos-viewer']) {
+            assert.equal(scripts(page, `script[src*="${name}"]`).length, 0, name);
+        }
+
+        const removed = Array.from(element.scriptActions.entries())
+            .filter(([, record]) => record.actions.includes('removed'))
+            .map(([src]) => fileName(src));
+        assert.deepEqual(removed.sort(), [
+            'BlogViewerWidgetNoCss.bundle.min.js',
+            'form-app-wix-ricos-viewer.chunk.min.js',
+            'group_6.0f1e2d3c.chunk.min.js'
+        ]);
+
+        // group-6 is `never`: nothing asks for it again
+        await runToCompletion();
+        assert.equal(page.fetched('group_6'), 1);
+    });
+
+    it('replaces a page script that failed to load, and removes it 3 seconds after completion', async () => {
+        server.fail('thunderbolt-commons.', 1);
+        await open();
+        await runToCompletion();
+
+        assert.equal(scripts(page, 'script[data-wix-optimized="replaced"]').length, 1);
+        assert.ok(injected(page).includes('thunderbolt-commons.3b3b5f2a.bundle.min.js'));
+        assert.equal(runs(page, 'thunderbolt-commons.'), 1);
+
+        await page.clock.tick(2999);
+        assert.equal(scripts(page, 'script[data-wix-optimized="replaced"]').length, 1);
+
+        await page.clock.tick(1);
+        assert.equal(scripts(page, 'script[data-wix-optimized="replaced"]').length, 0);
+        assert.deepEqual(injected(page), ['thunderbolt-commons.3b3b5f2a.bundle.min.js']);
+        assert.equal(page.events('wix-optimizer-rollback').length, 0);
+    });
+
+    it('reports completion once, with the fields blog listeners use', async () => {
+        await open();
+        await runToCompletion();
+        await page.clock.tick(5000);
+
+        const events = page.events(COMPLETE);
+        assert.equal(events.length, 1);
+
+        const detail = events[0];
+        assert.equal(detail.profile, 'blog-list');
+        assert.equal(detail.strategy, 'remove-and-reinject');
+        assert.equal(detail.arm, 'treatment');
+        assert.equal(detail.blogUrl, `${server.url}/blog`);
+        assert.equal(detail.pageUrl, `${server.url}/blog`);
+        assert.equal(detail.mainThreadReduction, true);
+        assert.equal(detail.failedScripts.length, 0);
+        assert.equal(detail.optimizedScripts.length, 6);
+        assert.equal(detail.navigation.type, 'initial');
+        assert.equal(element.isOptimizationComplete(), true);
+    });
+
+    it('rolls back when a moved script fails to load', async () => {
+        server.fail('animations.');
+        await open();
+        await page.waitFor(criticalLoaded);
+        await page.clock.tick(800);
+        await page.waitFor(() => page.events('wix-optimizer-rollback').length > 0);
+
+        const detail = page.events('wix-optimizer-rollback')[0];
+        assert.equal(detail.cause.type, 'load-error');
+        assert.match(detail.cause.src, /animations\./);
+        assert.equal(detail.profile, 'blog-list');
+        assert.ok(page.window.WixRollbackGuard.getDisabled());
+
+        // Nothing new goes in afterwards
+        const before = injected(page).length;
+        await page.settle(element.loadOptionalScript('forms'));
+        assert.equal(injected(page).length, before);
+
+        page.window.localStorage.clear();
+    });
+});
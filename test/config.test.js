@@ -0,0 +1,42 @@
+// WixOptimizerConfig: settings a page leaves before the script loads.
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+describe('WixOptimizerConfig', () => {
+    let window;
+
+    beforeEach(() => {
+        window = new JSDOM('<!DOCTYPE html><head></head>', { url: 'https://site.example/blog', runScripts: 'outside-only' }).window;
+    });
+
+    afterEach(() => window.close());
+
+    const load = () => window.eval(fs.readFileSync(path.join(ROOT, 'wix-optimizer-config.js'), 'utf8'));
+
+    it('applies a settings object and drains the queue of an earlier stub', () => {
+        window.eval(`
+            window.WixOptimizer = { config: { idleTimeout: 5000, batchSize: 2 }, q: [] };
+            window.WixOptimizer.configure = function () { window.WixOptimizer.q.push(['configure', ...arguments]); };
+            WixOptimizer.configure({ batchSize: 1 });
+            WixOptimizer.configure({ debug: true });
+        `);
+        const stub = window.WixOptimizer;
+
+        load();
+
+        assert.equal(window.WixOptimizer, stub);
+        const config = window.WixOptimizer.getConfig();
+        assert.equal(config.idleTimeout, 5000);
+        assert.equal(config.batchSize, 1);
+        assert.equal(config.debug, true);
+
+        // A snippet still holding the queue
+        window.WixOptimizer.q.push(['configure', { idleTimeout: 1000 }]);
+        assert.equal(window.WixOptimizer.getConfig().idleTimeout, 1000);
+    });
+});
@@ -0,0 +1,138 @@
+// Local stand-in for a Wix site and static.parastorage.com.
+//
+// Serves the pages in test/fixtures with the optimizer inlined where the
+// `<!-- optimizer -->` marker is (the way Wix custom code embeds it), and a
+// stand-in bundle for every other .js path. A bundle records that it ran in
+// `window.__executed` and defines the global its real counterpart provides, so
+// manifest `ready` checks pass. Latency and failures are set per bundle:
+//
+//     const server = await startFixtureServer();
+//     server.delay('main.', 300);      // every path containing "main."
+//     server.fail('animations.');      // answered with a 500
+//     server.fail('commons.', 1);      // only the first request fails
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+// Same order as the README
+const OPTIMIZER_FILES = [
+    'wix-optimizer-config.js',
+    'wix-optimizer-manifest.js',
+    'wix-optimizer-identity.js',
+    'wix-optimizer-scheduler.js',
+    'wix-optimizer-vitals.js',
+    'wix-optimizer-reporter.js',
+    'wix-optimizer-experiment.js',
+    'wix-optimizer-rollback.js',
+    'wix-optimizer-triggers.js',
+    'wix-optimizer-navigation.js',
+    'wix-optimizer-third-party.js',
+    'wix-optimizer-worker.js',
+    'wix-optimizer-tasks.js',
+    'wix-optimizer-capability.js',
+    'wix-optimizer-service-worker.js',
+    'wix-optimizer-prediction.js',
+    'wix-optimizer-images.js',
+    'wix-optimizer-fonts.js',
+    'wix-optimizer-css.js',
+    'wix-optimizer-overlay.js',
+    'wix-optimizer-core.js',
+    'wix-blog-list-optimizer.js',
+    'wix-product-optimizer.js'
+];
+
+const PAGES = [
+    { match: pathname => pathname.includes('/product-page/'), file: 'product.html' },
+    // The blog with its deferred scripts only preloaded, so the optimizer injects them
+    { match: pathname => pathname.includes('/blog-preloaded'), file: 'blog-preloaded.html' },
+    { match: pathname => pathname.includes('/blog'), file: 'blog.html' }
+];
+
+// Globals the real bundles provide, keyed by a part of their path
+const GLOBALS = {
+    'react.production.min.js': 'window.React = { version: "18.2.0" };',
+    'requirejs.min.js': 'window.requirejs = function () {};',
+    'consentPolicy.': 'window.consentPolicyManager = { getCurrentConsentPolicy: function () { return { policy: { functional: true, analytics: false, advertising: false } }; } };'
+};
+
+// Default latency of every bundle, so async scripts are still in flight when
+// the optimizer starts
+const LATENCY = 50;
+
+// "</script" inside a module (a comment's example markup) would end the inline
+// script early
+function optimizerMarkup() {
+    return OPTIMIZER_FILES
+        .map(file => `<script data-file="${file}">\n${fs.readFileSync(path.join(ROOT, file), 'utf8').replace(/<\/script/g, '<\\/script')}\n</script>`)
+        .join('\n');
+}
+
+function bundleSource(pathname) {
+    const lines = [`(window.__executed = window.__executed || []).push(${JSON.stringify(pathname)});`];
+    Object.keys(GLOBALS).forEach(key => {
+        if (pathname.includes(key)) lines.push(GLOBALS[key]);
+    });
+    return lines.join('\n');
+}
+
+function startFixtureServer() {
+    const delays = [];
+    const failures = [];
+    const state = {};
+    const find = (rules, pathname) => rules.find(rule => pathname.includes(rule.match));
+
+    const server = http.createServer((request, response) => {
+        const pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+
+        const page = PAGES.find(candidate => candidate.match(pathname));
+        if (page) {
+            const html = fs.readFileSync(path.join(FIXTURES, page.file), 'utf8').replace('<!-- optimizer -->', () => optimizerMarkup());
+            response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            response.end(html);
+            return;
+        }
+
+        if (!pathname.endsWith('.js')) {
+            response.writeHead(404);
+            response.end();
+            return;
+        }
+
+        const delay = find(delays, pathname);
+        setTimeout(() => {
+            const failure = find(failures, pathname);
+            if (failure && failure.times > 0) {
+                failure.times--;
+                response.writeHead(500);
+                response.end();
+                return;
+            }
+
+            response.writeHead(200, { 'Content-Type': 'application/javascript' });
+            response.end(bundleSource(pathname));
+        }, delay ? delay.ms : LATENCY);
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve(Object.assign(state, {
+                url: `http://127.0.0.1:${server.address().port}`,
+                delay: (match, ms) => delays.unshift({ match: match, ms: ms }),
+                fail: (match, times = Infinity) => failures.push({ match: match, times: times }),
+                reset: () => {
+                    delays.length = 0;
+                    failures.length = 0;
+                },
+                close: () => new Promise(done => {
+                    server.closeAllConnections();
+                    server.close(done);
+                })
+            }));
+        });
+    });
+}
+
+module.exports = { startFixtureServer: startFixtureServer, OPTIMIZER_FILES: OPTIMIZER_FILES };
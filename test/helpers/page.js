@@ -0,0 +1,185 @@
+// Opens a fixture page in jsdom with a fake clock.
+//
+// The page's setTimeout/setInterval are replaced before anything runs, so the
+// optimizer's waits (start delay, idle fallbacks, completion delay, cleanup)
+// only pass when a test calls `clock.tick(ms)`. Script fetches still happen in
+// real time against the fixture server; `waitFor` polls for them, running the
+// zero-delay timers the task scheduler queues as it goes.
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+
+// Timers of one window, run only by tick()
+function createClock() {
+    const timers = new Map();
+    let now = 0;
+    let nextId = 1;
+
+    const add = (callback, delay, args, interval) => {
+        const id = nextId++;
+        const ms = Math.max(0, Number(delay) || 0);
+        timers.set(id, { callback: callback, at: now + ms, ms: ms, args: args, interval: interval });
+        return id;
+    };
+
+    // Let script loads, promise chains and events that are due settle
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+
+    const clock = {
+        get now() {
+            return now;
+        },
+
+        pending: () => timers.size,
+
+        install(window) {
+            window.setTimeout = (callback, delay, ...args) => add(callback, delay, args, false);
+            window.setInterval = (callback, delay, ...args) => add(callback, delay, args, true);
+            window.clearTimeout = id => timers.delete(id);
+            window.clearInterval = id => timers.delete(id);
+        },
+
+        // Move time forward, firing every timer that falls due on the way in order
+        async tick(ms = 0) {
+            const end = now + ms;
+            await settle();
+
+            for (;;) {
+                let next = null;
+                timers.forEach((timer, id) => {
+                    if (timer.at <= end && (!next || timer.at < next.timer.at || (timer.at === next.timer.at && id < next.id))) {
+                        next = { id: id, timer: timer };
+                    }
+                });
+                if (!next) break;
+
+                now = Math.max(now, next.timer.at);
+                if (next.timer.interval) {
+                    next.timer.at = now + Math.max(1, next.timer.ms);
+                } else {
+                    timers.delete(next.id);
+                }
+
+                if (typeof next.timer.callback === 'function') next.timer.callback(...next.timer.args);
+                await settle();
+            }
+
+            now = end;
+            await settle();
+        }
+    };
+
+    return clock;
+}
+
+// Events the optimizer dispatches on the document, recorded from the start
+const EVENTS = ['wix-blog-list-optimization-complete', 'wix-js-optimization-complete', 'wix-optimizer-rollback'];
+
+// Resolves once `predicate()` is truthy, running due zero-delay timers while
+// real time passes
+async function waitFor(predicate, clock, timeout = 3000) {
+    const started = Date.now();
+
+    for (;;) {
+        await clock.tick(0);
+        if (predicate()) return;
+        if (Date.now() - started > timeout) throw new Error(`Timed out waiting for ${predicate}`);
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+// Load `pathname` from the fixture server. `beforeParse(window)` runs after the
+// clock is installed and before the page's first script
+async function openPage(server, pathname, options = {}) {
+    const clock = createClock();
+    const errors = [];
+    const logs = [];
+    const events = [];
+    const fetches = [];
+
+    // Every fetch of this page, so requests of a page closed earlier never count
+    class RecordingLoader extends ResourceLoader {
+        fetch(url, options) {
+            fetches.push(url);
+            return super.fetch(url, options);
+        }
+    }
+
+    // Keep the optimizer's console output out of the test report
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('log', message => logs.push(message));
+    virtualConsole.on('warn', message => logs.push(message));
+    virtualConsole.on('error', message => errors.push(message));
+    virtualConsole.on('jsdomError', error => errors.push(error.message));
+
+    let loaded;
+    const domContentLoaded = new Promise(resolve => {
+        loaded = resolve;
+    });
+
+    const dom = await JSDOM.fromURL(`${server.url}${pathname}`, {
+        runScripts: 'dangerously',
+        resources: new RecordingLoader(),
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole,
+        beforeParse(window) {
+            clock.install(window);
+
+            // What jsdom doesn't implement: resource timing (nothing counts as
+            // fetched) and a device worth the standard capability tier
+            window.performance.getEntriesByName = () => [];
+            window.performance.getEntriesByType = () => [];
+            Object.defineProperty(window.navigator, 'hardwareConcurrency', { value: 8 });
+
+            // jsdom queues an inserted script with `defer` behind the parser
+            // even once parsing is over, so it never runs; browsers ignore
+            // `defer` on inserted scripts, so leave it off those
+            const defer = Object.getOwnPropertyDescriptor(window.HTMLScriptElement.prototype, 'defer');
+            Object.defineProperty(window.HTMLScriptElement.prototype, 'defer', {
+                configurable: true,
+                get: defer.get,
+                set(value) {
+                    if (this.isConnected) defer.set.call(this, value);
+                }
+            });
+
+            EVENTS.forEach(type => window.document.addEventListener(type, event => events.push({ type: type, detail: event.detail })));
+            window.document.addEventListener('DOMContentLoaded', () => loaded());
+            if (options.beforeParse) options.beforeParse(window);
+        }
+    });
+
+    await domContentLoaded;
+
+    return {
+        dom: dom,
+        window: dom.window,
+        document: dom.window.document,
+        clock: clock,
+        errors: errors,
+        logs: logs,
+        // Details of the `type` events so far
+        events: type => events.filter(event => event.type === type).map(event => event.detail),
+        // Fetches of this page whose URL contains `match`
+        fetched: match => fetches.filter(url => decodeURIComponent(url).includes(match)).length,
+        // Paths of the stand-in bundles that ran, in order
+        executed: () => (dom.window.__executed || []).slice(),
+        waitFor: (predicate, timeout) => waitFor(predicate, clock, timeout),
+        // Await a promise of the page's, which may need its zero-delay timers to settle
+        settle: async promise => {
+            let settled = false;
+            promise.then(() => {
+                settled = true;
+            });
+            await waitFor(() => settled, clock);
+            return promise;
+        },
+        // Closing the window disconnects the optimizer after its document is
+        // gone, so stop it first
+        close: () => {
+            const active = dom.window.WixOptimizerElement && dom.window.WixOptimizerElement.active;
+            if (active) active.teardown();
+            dom.window.close();
+        }
+    };
+}
+
+module.exports = { openPage: openPage, createClock: createClock, EVENTS: EVENTS };
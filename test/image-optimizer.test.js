@@ -0,0 +1,65 @@
+// WixImageOptimizer: which images keep their URLs and what gets preloaded.
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const MEDIA = 'https://static.wixstatic.com/media/abc~mv2.jpg/v1/fill/w_1920,h_1280,al_c,q_85/abc~mv2.jpg';
+const SIZED = 'https://static.wixstatic.com/media/abc~mv2.jpg/v1/fill/w_600,h_400,al_c,q_85,enc_auto/abc~mv2.jpg';
+
+describe('WixImageOptimizer', () => {
+    let window;
+    let optimizer;
+
+    beforeEach(() => {
+        window = new JSDOM('<!DOCTYPE html><head></head><body></body>', { url: 'https://site.example/blog', runScripts: 'outside-only' }).window;
+        window.performance.getEntriesByName = () => [];
+        ['wix-optimizer-vitals.js', 'wix-optimizer-images.js'].forEach(file => window.eval(fs.readFileSync(path.join(ROOT, file), 'utf8')));
+        optimizer = new window.WixImageOptimizer({ vitals: { lcpElement: null } });
+    });
+
+    afterEach(() => window.close());
+
+    // A 600x400 image, `top` px down the page
+    const image = (className, top, attributes = {}) => {
+        const img = window.document.createElement('img');
+        img.className = className;
+        img.setAttribute('src', MEDIA);
+        Object.keys(attributes).forEach(name => img.setAttribute(name, attributes[name]));
+        img.getBoundingClientRect = () => ({ top: top, bottom: top + 400, width: 600, height: 400 });
+        return img;
+    };
+
+    it('keeps the URL of an eager image in the page and preloads it as is', () => {
+        const cover = image('cover', 0);
+        window.document.body.appendChild(cover);
+
+        optimizer.run({ lcp: 'img.cover' });
+
+        assert.equal(cover.getAttribute('src'), MEDIA);
+        assert.equal(cover.getAttribute('fetchpriority'), 'high');
+        assert.equal(window.document.querySelector('link[rel="preload"]').href, MEDIA);
+        assert.equal(optimizer.getStats().lcp.rewritten, false);
+    });
+
+    it('rewrites only lazy images and images inserted later', () => {
+        const eager = image('card', 5000);
+        const lazy = image('card', 6000, { loading: 'lazy' });
+        window.document.body.append(eager, lazy);
+
+        optimizer.run({ lazy: 'img.card' });
+
+        assert.equal(eager.getAttribute('loading'), 'lazy');
+        assert.equal(eager.getAttribute('src'), MEDIA);
+        assert.equal(lazy.getAttribute('src'), SIZED);
+
+        const late = image('card', 7000);
+        window.document.body.appendChild(late);
+        optimizer.handleLateImages(late);
+
+        assert.equal(late.getAttribute('src'), SIZED);
+        assert.equal(optimizer.getStats().rewritten, 2);
+    });
+});
@@ -0,0 +1,185 @@
+// Disconnecting, moving, reconnecting and restoring the elements.
+const { after, afterEach, before, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { openPage } = require('./helpers/page');
+
+const BLOG_COMPLETE = 'wix-blog-list-optimization-complete';
+const JS_COMPLETE = 'wix-js-optimization-complete';
+
+// Script paths of a fixture page, in document order
+const fixtureScripts = file => Array.from(
+    fs.readFileSync(path.join(__dirname, 'fixtures', file), 'utf8').matchAll(/<script async src="([^"]+)"/g),
+    match => match[1]
+);
+
+const pathnames = (page, selector = 'script[src]') => Array.from(page.document.querySelectorAll(selector), script => decodeURIComponent(new URL(script.src).pathname));
+const runsOnce = page => assert.equal(page.executed().length, new Set(page.executed()).size, page.executed().join('\n'));
+
+describe('optimizer lifecycle', () => {
+    let server;
+    let page;
+    let element;
+
+    before(async () => {
+        server = await startFixtureServer();
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => server.reset());
+
+    afterEach(() => {
+        if (page) page.close();
+        page = null;
+    });
+
+    const open = async (pathname, selector) => {
+        page = await openPage(server, pathname);
+        element = page.document.querySelector(selector);
+        return page;
+    };
+
+    const criticalLoaded = () => ['main', 'thunderbolt-commons'].every(id => element.scheduler.nodes.get(id).state === 'loaded');
+
+    it('stops every timer and listener once removed', async () => {
+        server.delay('thunderbolt-product.', 300);
+        await open('/product-page/shirt', 'wix-js-optimizer');
+        await page.clock.tick(100);
+        assert.ok(page.clock.pending() > 0);
+
+        element.remove();
+        await page.clock.tick(0);
+        assert.equal(element.lifecycle.signal.aborted, true);
+        assert.equal(page.clock.pending(), 0);
+        assert.equal(page.window.WixOptimizerElement.active, null);
+
+        // Scripts that arrive later no longer count
+        const loaded = element.monitor.loaded;
+        await page.waitFor(() => page.executed().some(pathname => pathname.includes('thunderbolt-product.')));
+        await page.clock.tick(10000);
+        assert.equal(element.monitor.loaded, loaded);
+        assert.equal(page.events(JS_COMPLETE).length, 0);
+    });
+
+    it('rejects the tasks it had not run yet once removed', async () => {
+        await open('/product-page/shirt', 'wix-js-optimizer');
+        const outcomes = [
+            element.postTask(() => 'ran'),
+            element.postTask(() => 'ran', { delay: 500 })
+        ].map(task => task.then(result => result, error => error.name));
+
+        element.remove();
+        await page.clock.tick(0);
+
+        assert.equal((await Promise.all(outcomes)).join(), 'AbortError,AbortError');
+        assert.equal(page.clock.pending(), 0);
+    });
+
+    it('carries on when moved within the document', async () => {
+        await open('/blog', 'wix-blog-list-optimizer');
+        const lifecycle = element.lifecycle;
+
+        page.document.body.prepend(element);
+        await page.clock.tick(0);
+        assert.equal(element.lifecycle, lifecycle);
+        assert.equal(lifecycle.signal.aborted, false);
+
+        await page.waitFor(criticalLoaded);
+        await page.clock.tick(800);
+        await page.waitFor(() => page.events(BLOG_COMPLETE).length > 0);
+        await page.clock.tick(5000);
+        assert.equal(page.events(BLOG_COMPLETE).length, 1);
+    });
+
+    it('picks up as a new page view when connected again, without running anything twice', async () => {
+        await open('/blog', 'wix-blog-list-optimizer');
+        await page.waitFor(criticalLoaded);
+
+        // Gone before the deferred tier
+        element.remove();
+        await page.clock.tick(800);
+        assert.equal(pathnames(page, 'script[data-wix-optimized="injected"]').length, 0);
+
+        page.document.body.appendChild(element);
+        assert.equal(element.navigation.type, 'reconnect');
+        assert.equal(page.window.WixOptimizerElement.active, element);
+
+        await page.clock.tick(300);
+        await page.waitFor(criticalLoaded);
+        await page.clock.tick(800);
+        await page.waitFor(() => page.events(BLOG_COMPLETE).length > 0);
+
+        assert.equal(page.events(BLOG_COMPLETE)[0].navigation.type, 'reconnect');
+        assert.ok(page.executed().some(pathname => pathname.includes('react.production.min.js')));
+        runsOnce(page);
+    });
+
+    it('leaves a second element inert', async () => {
+        await open('/blog', 'wix-blog-list-optimizer');
+
+        const second = page.document.createElement('wix-js-optimizer');
+        page.document.body.appendChild(second);
+
+        assert.equal(second.profile, null);
+        assert.equal(second.lifecycle, null);
+        assert.equal(page.window.WixOptimizerElement.active, element);
+        assert.equal(page.window.WixOptimizerConfig.elements.has(second), false);
+
+        // Removing it doesn't touch the one at work
+        second.remove();
+        await page.clock.tick(0);
+        assert.equal(element.lifecycle.signal.aborted, false);
+    });
+
+    it('restores the blog page scripts as they were', async () => {
+        server.fail('thunderbolt-commons.', 1);
+        await open('/blog', 'wix-blog-list-optimizer');
+        await page.waitFor(criticalLoaded);
+        await page.clock.tick(800);
+        await page.waitFor(() => page.events(BLOG_COMPLETE).length > 0);
+        await page.clock.tick(3000);
+        assert.notDeepEqual(pathnames(page), fixtureScripts('blog.html'));
+
+        element.restore();
+
+        assert.deepEqual(pathnames(page), fixtureScripts('blog.html'));
+        assert.equal(page.document.querySelectorAll('[data-wix-optimized], [data-defer-load]').length, 0);
+        assert.equal(page.clock.pending(), 0);
+
+        await page.clock.tick(10000);
+        runsOnce(page);
+    });
+
+    it('restores the attributes it annotated the product page with', async () => {
+        await open('/product-page/shirt', 'wix-js-optimizer');
+        await page.clock.tick(5100);
+        assert.ok(page.document.querySelectorAll('script[fetchpriority]').length > 0);
+
+        element.restore();
+
+        assert.deepEqual(pathnames(page), fixtureScripts('product.html'));
+        assert.equal(page.document.querySelectorAll('script[fetchpriority], [data-wix-optimized]').length, 0);
+        runsOnce(page);
+    });
+
+    it('turns a released third-party tag back into its placeholder', async () => {
+        await open('/product-page/shirt', 'wix-js-optimizer');
+        await page.clock.tick(100);
+        element.setConsent({ functional: true, analytics: true, advertising: false });
+        await page.clock.tick(1000);
+        assert.ok(page.executed().includes('analytics-tag'));
+
+        element.restore();
+
+        const placeholders = page.document.querySelectorAll('script[type="text/plain"][data-wix-category="analytics"]');
+        assert.equal(placeholders.length, 1);
+        assert.equal(placeholders[0].parentNode, page.document.body);
+        assert.equal(page.document.querySelectorAll('[data-wix-optimized]').length, 0);
+
+        await page.clock.tick(10000);
+        assert.equal(page.executed().filter(name => name === 'analytics-tag').length, 1);
+    });
+});
@@ -0,0 +1,75 @@
+// WixMetricsReporter batches and how the reference collector counts them.
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { summarize } = require('../tools/metrics-collector');
+
+const ROOT = path.join(__dirname, '..');
+
+describe('WixMetricsReporter', () => {
+    let window;
+    let sent;
+    let reporter;
+
+    beforeEach(() => {
+        window = new JSDOM('<!DOCTYPE html><head></head>', { url: 'https://site.example/blog', runScripts: 'outside-only' }).window;
+        window.eval(fs.readFileSync(path.join(ROOT, 'wix-optimizer-reporter.js'), 'utf8'));
+
+        sent = [];
+        let lcp = 1800;
+        reporter = new window.WixMetricsReporter({
+            endpoint: 'https://metrics.example/collect',
+            collect: () => ({ profile: 'blog-list', arm: 'treatment', vitals: { lcp: lcp += 100 } })
+        });
+        reporter.send = body => sent.push(JSON.parse(body));
+        reporter.start();
+    });
+
+    afterEach(() => {
+        reporter.stop();
+        window.close();
+    });
+
+    const hide = () => {
+        Object.defineProperty(window.document, 'visibilityState', { configurable: true, value: 'hidden' });
+        window.document.dispatchEvent(new window.Event('visibilitychange'));
+    };
+
+    it('reports a page view that is hidden and then unloaded once, with its latest numbers', () => {
+        reporter.add('complete', { profile: 'blog-list', arm: 'treatment', vitals: { lcp: 1500 } });
+        hide();
+        reporter.add('rollback', { cause: 'error' });
+        window.dispatchEvent(new window.Event('pagehide'));
+
+        assert.equal(sent.length, 2);
+        assert.equal(sent[0].pageView, sent[1].pageView);
+        assert.equal(sent.flatMap(batch => batch.records).filter(record => record.type === 'snapshot').length, 2);
+
+        const summary = summarize(sent)['blog-list'].treatment;
+        assert.equal(summary.pageViews, 1);
+        assert.equal(summary.p75.lcp, 2000);
+    });
+
+    it('keeps a batch under the beacon limit', () => {
+        for (let i = 0; i < 100; i++) {
+            reporter.add('complete', { padding: 'x'.repeat(1000) });
+        }
+        hide();
+
+        assert.equal(sent.length, 1);
+        assert.ok(JSON.stringify(sent[0]).length <= window.WixMetricsReporter.MAX_BATCH_BYTES);
+        assert.equal(sent[0].records[sent[0].records.length - 1].type, 'snapshot');
+    });
+
+    it('starts a new page view after a client-side navigation', () => {
+        reporter.flush('navigation', 'https://site.example/blog');
+        reporter.startPageView();
+        hide();
+
+        assert.equal(sent.length, 2);
+        assert.notEqual(sent[0].pageView, sent[1].pageView);
+        assert.equal(summarize(sent)['blog-list'].treatment.pageViews, 2);
+    });
+});
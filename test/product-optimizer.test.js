@@ -0,0 +1,173 @@
+// <wix-js-optimizer> on the product fixture: created by autoInit, annotate.
+const { after, afterEach, before, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFixtureServer } = require('./helpers/fixture-server');
+const { openPage } = require('./helpers/page');
+
+const COMPLETE = 'wix-js-optimization-complete';
+
+const fileName = src => src.split('/').pop();
+const scripts = (page, selector = 'script[src]') => Array.from(page.document.querySelectorAll(selector));
+const script = (page, name) => scripts(page).find(element => fileName(element.src).startsWith(name));
+
+describe('wix-js-optimizer', () => {
+    let server;
+    let page;
+    let element;
+
+    before(async () => {
+        server = await startFixtureServer();
+    });
+
+    after(() => server.close());
+
+    beforeEach(() => server.reset());
+
+    afterEach(() => {
+        if (page) page.close();
+        page = null;
+    });
+
+    const open = async (pathname = '/product-page/shirt') => {
+        page = await openPage(server, pathname);
+        element = page.document.querySelector('wix-js-optimizer');
+        return page;
+    };
+
+    const settled = () => element.monitor.loaded + element.monitor.errors;
+
+    it('is created once by autoInit for the product profile', async () => {
+        await open();
+
+        assert.equal(page.document.querySelectorAll('wix-js-optimizer, wix-blog-list-optimizer').length, 1);
+        assert.equal(element.profile.name, 'product');
+        assert.equal(element.profile.strategy, 'annotate');
+    });
+
+    it('starts after the profile start delay', async () => {
+        await open();
+
+        await page.clock.tick(99);
+        assert.equal(script(page, 'main.').getAttribute('fetchpriority'), null);
+
+        await page.clock.tick(1);
+        assert.equal(script(page, 'main.').getAttribute('fetchpriority'), 'high');
+    });
+
+    it('annotates scripts in place without fetching anything again', async () => {
+        await open();
+        await page.clock.tick(100);
+        await page.waitFor(() => settled() === 10);
+
+        for (const name of ['main.', 'thunderbolt-commons.', 'react.']) {
+            assert.equal(script(page, name).getAttribute('data-wix-optimized'), 'high-priority', name);
+        }
+        assert.equal(script(page, 'thunderbolt-product.').hasAttribute('data-wix-optimized'), false);
+
+        assert.equal(scripts(page).length, 10);
+        assert.equal(scripts(page, 'script[data-wix-optimized="injected"]').length, 0);
+        scripts(page).forEach(element => assert.equal(page.fetched(decodeURIComponent(new URL(element.src).pathname)), 1, element.src));
+    });
+
+    it('boosts deferred scripts once their 5 second trigger fires', async () => {
+        await open();
+        await page.clock.tick(100);
+
+        assert.notEqual(script(page, 'animations.').getAttribute('fetchpriority'), 'high');
+
+        await page.clock.tick(5000);
+        assert.equal(script(page, 'animations.').getAttribute('fetchpriority'), 'high');
+        assert.ok(element.scriptActions.get(script(page, 'animations.').src).actions.includes('boosted'));
+    });
+
+    it('completes 500ms after 90% of the page scripts have loaded', async () => {
+        server.delay('thunderbolt-product.', 1000);
+        await open();
+        await page.clock.tick(100);
+        await page.waitFor(() => settled() === 9);
+
+        await page.clock.tick(499);
+        assert.equal(element.isOptimizationComplete(), false);
+
+        await page.clock.tick(1);
+        assert.equal(element.isOptimizationComplete(), true);
+        assert.equal(page.events(COMPLETE).length, 1);
+
+        // The last script arriving doesn't report a second time
+        await page.waitFor(() => settled() === 10);
+        await page.clock.tick(1000);
+        assert.equal(page.events(COMPLETE).length, 1);
+    });
+
+    it('keeps waiting while more than 10% of the scripts are loading', async () => {
+        server.delay('thunderbolt-product.', 1000);
+        server.delay('group_6.', 1000);
+        await open();
+        await page.clock.tick(100);
+        await page.waitFor(() => settled() === 8);
+
+        await page.clock.tick(10000);
+        assert.equal(element.isOptimizationComplete(), false);
+        assert.equal(page.events(COMPLETE).length, 0);
+    });
+
+    it('counts failed scripts as processed and reports them', async () => {
+        server.fail('thunderbolt-product.');
+        await open();
+        await page.clock.tick(100);
+        await page.waitFor(() => settled() === 10);
+        await page.clock.tick(500);
+
+        const [detail] = page.events(COMPLETE);
+        assert.equal(detail.profile, 'product');
+        assert.equal(detail.strategy, 'annotate');
+        assert.equal(detail.arm, 'treatment');
+        assert.equal(detail.totalScripts, 10);
+        assert.equal(detail.failedScripts.length, 1);
+        assert.match(detail.failedScripts[0], /thunderbolt-product\./);
+        assert.equal(detail.successRate, 90);
+        assert.equal(detail.pageUrl, `${server.url}/product-page/shirt`);
+
+        // Not a script the optimizer moved, so no rollback
+        assert.equal(page.events('wix-optimizer-rollback').length, 0);
+    });
+
+    it('holds a marked-up tag until consent allows its category', async () => {
+        await open();
+        await page.clock.tick(100);
+        await page.waitFor(() => settled() === 10);
+
+        // The site's Wix policy turns analytics down
+        await page.clock.tick(5000);
+        assert.equal(element.thirdParty.consentSource, 'wix');
+        assert.equal(page.executed().includes('analytics-tag'), false);
+        assert.ok(page.document.querySelector('script[type="text/plain"][data-wix-category="analytics"]'));
+
+        element.setConsent({ functional: true, analytics: true, advertising: false });
+        assert.equal(page.executed().includes('analytics-tag'), false);
+
+        await page.clock.tick(1000);
+        assert.equal(page.executed().filter(name => name === 'analytics-tag').length, 1);
+        assert.equal(page.document.querySelectorAll('script[data-wix-optimized="released"]').length, 1);
+        assert.ok(element.getOptimizationStats().thirdParty.tags.some(tag => tag.category === 'analytics' && tag.state === 'released'));
+
+        // No held tag of a rule with a facade, so no stand-in globals
+        assert.equal(page.window.dataLayer, undefined);
+        assert.equal(page.window.fbq, undefined);
+        assert.equal(page.window.Sentry, undefined);
+    });
+
+    it('releases a marked-up tag by consent in the control arm', async () => {
+        await open('/product-page/shirt?wix-optimizer-arm=control');
+        await page.clock.tick(100);
+        await page.waitFor(() => settled() === 10);
+        assert.equal(element.getOptimizationStats().arm, 'control');
+
+        await page.clock.tick(5000);
+        assert.equal(page.executed().includes('analytics-tag'), false);
+
+        element.setConsent({ functional: true, analytics: true, advertising: false });
+        await page.clock.tick(1000);
+        assert.equal(page.executed().filter(name => name === 'analytics-tag').length, 1);
+    });
+});
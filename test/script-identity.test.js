@@ -0,0 +1,137 @@
+// WixScriptIdentity: canonical ids and the per-element registry of copies.
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const MAIN = 'https://static.parastorage.com/services/wix-thunderbolt/dist/main.7120cb19.bundle.min.js';
+
+describe('WixScriptIdentity', () => {
+    let window;
+    let Identity;
+
+    beforeEach(() => {
+        window = new JSDOM('<!DOCTYPE html><head></head>', { url: 'https://site.example/blog', runScripts: 'outside-only' }).window;
+        window.performance.getEntriesByName = () => [];
+        ['wix-optimizer-manifest.js', 'wix-optimizer-identity.js'].forEach(file => window.eval(fs.readFileSync(path.join(ROOT, file), 'utf8')));
+        Identity = window.WixScriptIdentity;
+    });
+
+    afterEach(() => window.close());
+
+    const script = (src, attributes = {}) => {
+        const element = window.document.createElement('script');
+        element.src = src;
+        Object.keys(attributes).forEach(name => element.setAttribute(name, attributes[name]));
+        window.document.head.appendChild(element);
+        return element;
+    };
+
+    it('ignores the content hash, CDN host, protocol and query of Wix bundles', () => {
+        assert.equal(Identity.canonicalize(MAIN), 'cdn/services/wix-thunderbolt/dist/main.bundle.min.js');
+        assert.ok(Identity.same(MAIN, '//static.wixstatic.com/services/wix-thunderbolt/dist/main.5d2e9f1a.bundle.min.js?v=2'));
+        assert.ok(Identity.same(MAIN, 'https://static.parastorage.com/services//wix-thunderbolt/dist/main.7120cb19.bundle.min.js'));
+    });
+
+    it('ignores the version directory of a Wix service, not package versions', () => {
+        assert.ok(Identity.same(
+            'https://static.parastorage.com/services/communities-blog-ooi/1.2456.0/BlogViewerWidgetNoCss.bundle.min.js',
+            'https://static.parastorage.com/services/communities-blog-ooi/1.2460.0/BlogViewerWidgetNoCss.bundle.min.js'
+        ));
+        assert.ok(!Identity.same(
+            'https://static.parastorage.com/unpkg/react@18.2.0/umd/react.production.min.js',
+            'https://static.parastorage.com/unpkg/react@18.3.1/umd/react.production.min.js'
+        ));
+        assert.equal(
+            Identity.canonicalize('https://static.parastorage.com/unpkg/react@18.2.0/umd/react.production.min.js'),
+            'cdn/unpkg/react@18.2.0/umd/react.production.min.js'
+        );
+    });
+
+    it('tells similarly named scripts apart', () => {
+        const dist = 'https://static.parastorage.com/services/wix-thunderbolt/dist';
+        assert.ok(!Identity.same(`${dist}/main.7120cb19.bundle.min.js`, `${dist}/domain.7120cb19.bundle.min.js`));
+        assert.ok(!Identity.same(`${dist}/main.7120cb19.bundle.min.js`, `${dist}/main.7120cb19.chunk.min.js`));
+        assert.ok(!Identity.same(`${dist}/main.7120cb19.bundle.min.js`, 'https://cdn.example.com/services/wix-thunderbolt/dist/main.7120cb19.bundle.min.js'));
+    });
+
+    it('keeps the query of other hosts, without cache busters and in any order', () => {
+        const gtag = 'https://www.googletagmanager.com/gtag/js';
+        assert.ok(!Identity.same(`${gtag}?id=G-1`, `${gtag}?id=G-2`));
+        assert.ok(Identity.same(`${gtag}?id=G-1&l=dataLayer`, `${gtag}?l=dataLayer&id=G-1&cb=123`));
+        assert.ok(Identity.same('/scripts/app.js', 'https://site.example/scripts/app.js?v=3'));
+    });
+
+    it('tracks every copy of a script and finds one that will run', () => {
+        const registry = new Identity();
+        const original = script(MAIN, { async: '' });
+        const preload = window.document.createElement('link');
+        preload.setAttribute('rel', 'preload');
+        preload.setAttribute('as', 'script');
+        preload.setAttribute('href', MAIN.replace('7120cb19', '0a1b2c3d'));
+        window.document.head.appendChild(preload);
+
+        assert.equal(registry.getInstances(MAIN).map(instance => instance.role).join(), 'preload,original');
+        assert.ok(registry.hasPreload(MAIN));
+        assert.equal(registry.find(MAIN).element, original);
+
+        // Taken out of the page while loading: it still runs
+        original.remove();
+        assert.equal(registry.find(MAIN).element, original);
+
+        original.dispatchEvent(new window.Event('error'));
+        assert.equal(registry.find(MAIN), null);
+
+        const injected = script(MAIN);
+        registry.track(injected, 'injected');
+        injected.dispatchEvent(new window.Event('load'));
+        assert.equal(registry.find(MAIN).element, injected);
+        assert.equal(registry.getStats().duplicates.length, 1);
+    });
+
+    it('never waits for a script that was never in the page', () => {
+        const registry = new Identity();
+        const detached = window.document.createElement('script');
+        detached.src = MAIN;
+        registry.track(detached, 'original');
+
+        assert.equal(registry.find(MAIN), null);
+    });
+
+    it('settles with the state of the copy it waits for', async () => {
+        const registry = new Identity();
+        const original = registry.track(script(MAIN, { async: '' }), 'original');
+
+        const settled = registry.settled(original);
+        original.element.dispatchEvent(new window.Event('load'));
+        assert.equal(await settled, 'loaded');
+        assert.equal(await registry.settled(original), 'loaded');
+    });
+
+    it('stops waiting for a copy that never loads', async () => {
+        Object.defineProperty(Identity, 'SETTLE_TIMEOUT', { value: 10 });
+        Object.defineProperty(window.document, 'readyState', { value: 'interactive' });
+        const registry = new Identity();
+        const original = registry.track(script(MAIN, { async: '' }), 'original');
+
+        // Still in the page: it may yet run
+        assert.equal(await registry.settled(original), 'loading');
+        assert.equal(registry.find(MAIN), original);
+
+        // Taken out and silent: given up on
+        original.element.remove();
+        assert.equal(await registry.settled(original), 'lost');
+        assert.equal(registry.find(MAIN), null);
+    });
+
+    it('never builds a selector from the URL', () => {
+        const registry = new Identity();
+        script('https://cdn.example.com/a"]b.js');
+
+        assert.doesNotThrow(() => registry.find('https://cdn.example.com/a"]b.js'));
+        assert.ok(registry.find('https://cdn.example.com/a"]b.js'));
+        assert.equal(registry.find('https://cdn.example.com/a.js'), null);
+    });
+});
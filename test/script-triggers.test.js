@@ -0,0 +1,54 @@
+// WixScriptTriggers: visible triggers on late containers and the idle fallback.
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+describe('WixScriptTriggers', () => {
+    let window;
+    let triggers;
+    let loaded;
+
+    beforeEach(() => {
+        // jsdom has neither IntersectionObserver nor requestIdleCallback, so
+        // the fallbacks run
+        window = new JSDOM('<!DOCTYPE html><head></head><body></body>', { url: 'https://site.example/blog', runScripts: 'outside-only' }).window;
+        window.eval(fs.readFileSync(path.join(ROOT, 'wix-optimizer-triggers.js'), 'utf8'));
+        triggers = new window.WixScriptTriggers({ timeScale: 0.01 });
+        loaded = [];
+    });
+
+    afterEach(() => {
+        triggers.disconnect();
+        window.close();
+    });
+
+    const arm = (id, trigger) => triggers.arm(id, trigger, () => loaded.push(id));
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    it('watches widget containers rendered after the trigger was armed', async () => {
+        arm('comments', { type: 'visible', selector: '[data-hook="comments"]' });
+
+        await wait(50);
+        assert.equal(triggers.hasFired('comments'), false);
+
+        const section = window.document.createElement('section');
+        section.innerHTML = '<div data-hook="comments"></div>';
+        window.document.body.appendChild(section);
+
+        await wait(50);
+        assert.equal(triggers.hasFired('comments'), true);
+        assert.deepEqual(loaded, ['comments']);
+    });
+
+    it('fires an idle trigger no later than its timeout without requestIdleCallback', async () => {
+        triggers = new window.WixScriptTriggers();
+        arm('chat', { type: 'idle', timeout: 20 });
+
+        await wait(100);
+        assert.equal(triggers.hasFired('chat'), true);
+    });
+});
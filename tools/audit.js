@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+// Offline audit: classify the scripts of a saved Wix page against a profile's
+// manifest and write an updated manifest for the elements.
+//
+//     node tools/audit.js page.html [--url https://example.com/blog] [--profile blog-list]
+//         [--har page.har] [--lighthouse report.json] [--manifest current.json]
+//         [--out manifest.json] [--json] [--strict]
+//
+// Every <script src> and script preload of the HTML (plus the scripts in a HAR
+// or Lighthouse report, which also catch the chunks thunderbolt inserts later)
+// is matched with the elements' own WixScriptManifest, loaded into a vm
+// sandbox together with the profiles, so the audit never drifts from what runs
+// in the browser. It reports:
+//
+// - the tier and rule of every script, with transfer size and execution time
+//   where the HAR or Lighthouse report has them
+// - scripts matching no rule, added to the manifest as `deferred` (Wix
+//   platform) or `optional` (anything else) for review
+// - stale hashes: a rule's `src` or a pattern with a content hash in it that
+//   only matches the page's script once the hash is ignored; both are updated
+// - rules that matched nothing on the page
+//
+// The profile comes from --profile, else from the page URL (--url, the
+// canonical link or og:url). --strict exits with 1 when anything is unmatched
+// or stale, for CI after a Wix redeploy.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const ENGINE_FILES = [
+    'wix-optimizer-manifest.js',
+    'wix-optimizer-third-party.js',
+    'wix-optimizer-core.js',
+    'wix-blog-list-optimizer.js',
+    'wix-product-optimizer.js'
+];
+const WIX_HOSTS = ['static.parastorage.com', 'static.wixstatic.com'];
+// A content hash in a file name, as WixScriptManifest.stripHash sees it
+const HASH = /\.[0-9a-f]{8,}(?=\.)/gi;
+const HAS_HASH = /\.[0-9a-f]{8,}(?=\.)/i;
+
+function parseArgs(argv) {
+    const options = { html: null, url: null, profile: null, har: null, lighthouse: null, manifest: null, out: null, json: false, strict: false };
+    const values = { '--url': 'url', '--profile': 'profile', '--har': 'har', '--lighthouse': 'lighthouse', '--manifest': 'manifest', '--out': 'out' };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (values[argv[i]]) options[values[argv[i]]] = argv[++i];
+        else if (argv[i] === '--json') options.json = true;
+        else if (argv[i] === '--strict') options.strict = true;
+        else options.html = argv[i];
+    }
+
+    return options;
+}
+
+// The browser modules in a sandbox: just enough of a window for them to load
+// and register their profiles, without creating any element
+function loadEngine(baseUrl) {
+    const sandbox = {
+        console: { log: () => {}, warn: (...args) => console.error(...args), error: (...args) => console.error(...args) },
+        URL: URL,
+        HTMLElement: class {},
+        customElements: { define: () => {}, get: () => undefined },
+        document: { baseURI: baseUrl }
+    };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+
+    ENGINE_FILES.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), sandbox, { filename: file });
+
+        // Core is in: keep the element files from auto-creating optimizers
+        if (file === 'wix-optimizer-core.js') sandbox.WixOptimizerElement.autoInitScheduled = true;
+    });
+
+    return sandbox;
+}
+
+function decodeEntities(value) {
+    return value.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&#39;/g, '\'').replace(/&lt;/g, '<').replace(/&gt;/g, '>');
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([^\s"'=<>/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let match;
+
+    while ((match = pattern.exec(source)) !== null) {
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+        attributes[match[1].toLowerCase()] = value === undefined ? '' : decodeEntities(value);
+    }
+
+    return attributes;
+}
+
+function tags(html, name) {
+    const found = [];
+    const pattern = new RegExp(`<${name}\\b([^>]*)>`, 'gi');
+    let match;
+
+    while ((match = pattern.exec(html)) !== null) found.push(parseAttributes(match[1]));
+    return found;
+}
+
+// --url, else the page's canonical URL or og:url
+function pageUrl(html, explicit) {
+    if (explicit) return explicit;
+
+    const canonical = tags(html, 'link').find(link => (link.rel || '').toLowerCase() === 'canonical' && link.href);
+    if (canonical) return canonical.href;
+
+    const og = tags(html, 'meta').find(meta => meta.property === 'og:url' && meta.content);
+    return og ? og.content : 'https://example.com/';
+}
+
+function absolute(src, base) {
+    try {
+        return new URL(src, base).href;
+    } catch (error) {
+        return null;
+    }
+}
+
+// { src, sources: ['html', 'har', 'lighthouse'], transferSize, executionTime }
+function collectScripts(html, baseUrl) {
+    const scripts = new Map();
+    const add = (src, source, details = {}) => {
+        const url = absolute(src, baseUrl);
+        if (!url || !/^https?:/.test(url)) return;
+
+        const script = scripts.get(url) || { src: url, sources: [], transferSize: null, executionTime: null };
+        if (!script.sources.includes(source)) script.sources.push(source);
+        if (typeof details.transferSize === 'number') script.transferSize = details.transferSize;
+        if (typeof details.executionTime === 'number') script.executionTime = Math.round(details.executionTime);
+        scripts.set(url, script);
+    };
+
+    tags(html, 'script').forEach(script => {
+        if (script.src) add(script.src, 'html');
+    });
+    tags(html, 'link').forEach(link => {
+        if ((link.rel || '').toLowerCase() === 'preload' && link.as === 'script' && link.href) add(link.href, 'html');
+    });
+
+    return { scripts: scripts, add: add };
+}
+
+function readHar(file, add) {
+    const har = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    ((har.log && har.log.entries) || []).forEach(entry => {
+        const url = entry.request && entry.request.url;
+        const mimeType = (entry.response && entry.response.content && entry.response.content.mimeType) || '';
+        if (!url) return;
+
+        const isScript = entry._resourceType === 'script' || /javascript|ecmascript/i.test(mimeType) || /\.m?js(\?|$)/i.test(url);
+        if (!isScript) return;
+
+        const response = entry.response || {};
+        add(url, 'har', { transferSize: typeof response._transferSize === 'number' ? response._transferSize : response.bodySize });
+    });
+}
+
+function readLighthouse(file, add) {
+    const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const audits = (report.lhr || report).audits || {};
+    const items = name => (audits[name] && audits[name].details && audits[name].details.items) || [];
+
+    items('network-requests').forEach(item => {
+        if (item.resourceType === 'Script') add(item.url, 'lighthouse', { transferSize: item.transferSize });
+    });
+
+    items('bootup-time').forEach(item => {
+        if (/^https?:/.test(item.url) && /\.m?js(\?|$)/i.test(item.url)) {
+            add(item.url, 'lighthouse', { executionTime: item.scripting });
+        }
+    });
+}
+
+function isWixPlatform(src) {
+    try {
+        return WIX_HOSTS.includes(new URL(src).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+// A pattern for a new script: its host/path, with the content hash and
+// version directories as wildcards
+function suggestPattern(WixScriptManifest, src) {
+    return WixScriptManifest.normalize(src)
+        .replace(HASH, '.*')
+        .replace(/\/\d+\.\d+\.\d+[^/]*\//g, '/*/');
+}
+
+function suggestId(src, taken) {
+    const segments = new URL(src).pathname.split('/').filter(Boolean);
+    // Extensionless endpoints like /gtag/js read better with their directory
+    const file = segments.slice(/\./.test(segments[segments.length - 1] || '') ? -1 : -2).join('-') || 'script';
+    const base = file.replace(HASH, '').split('.')[0].replace(/[^a-z0-9-]+/gi, '-').toLowerCase() || 'script';
+
+    let id = base;
+    for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+    taken.add(id);
+    return id;
+}
+
+function audit(options) {
+    const html = fs.readFileSync(options.html, 'utf8');
+    const baseUrl = pageUrl(html, options.url);
+    const engine = loadEngine(baseUrl);
+    const { WixScriptManifest, WixOptimizerProfiles } = engine;
+
+    const profile = options.profile
+        ? WixOptimizerProfiles.get(options.profile)
+        : WixOptimizerProfiles.resolve(new URL(baseUrl));
+    if (!profile) throw new Error(`Unknown profile "${options.profile}"`);
+
+    const definition = options.manifest ? JSON.parse(fs.readFileSync(options.manifest, 'utf8')) : profile.manifest;
+    const manifest = new WixScriptManifest(definition);
+
+    const { scripts, add } = collectScripts(html, baseUrl);
+    if (options.har) readHar(options.har, add);
+    if (options.lighthouse) readLighthouse(options.lighthouse, add);
+
+    const output = manifest.toJSON();
+    const entryFor = rule => output.scripts.find(entry => entry.id === rule.id);
+    const taken = new Set(manifest.rules.map(rule => rule.id));
+    const seenRules = new Set();
+    const classified = [];
+    const unmatched = [];
+    const stale = [];
+
+    scripts.forEach(script => {
+        let rule = manifest.match(script.src);
+
+        if (!rule) {
+            // Written with a content hash that has since changed?
+            const unhashed = WixScriptManifest.stripHash(WixScriptManifest.normalize(script.src));
+            rule = manifest.rules.find(candidate => [].concat(candidate.pattern).some(pattern =>
+                !/^\/.+\/[a-z]*$/.test(pattern) && HAS_HASH.test(pattern) &&
+                WixScriptManifest.compilePattern(pattern.replace(HASH, '')).test(unhashed)));
+
+            if (rule) {
+                const entry = entryFor(rule);
+                entry.pattern = Array.isArray(entry.pattern)
+                    ? entry.pattern.map(pattern => pattern.replace(HASH, '.*'))
+                    : entry.pattern.replace(HASH, '.*');
+                stale.push({ id: rule.id, kind: 'pattern', was: rule.pattern, now: entry.pattern });
+            }
+        }
+
+        if (rule) {
+            seenRules.add(rule.id);
+
+            // An explicit src for a script the page now loads with another hash
+            if (rule.src && rule.src !== script.src &&
+                WixScriptManifest.stripHash(WixScriptManifest.normalize(rule.src)) === WixScriptManifest.stripHash(WixScriptManifest.normalize(script.src))) {
+                entryFor(rule).src = script.src;
+                stale.push({ id: rule.id, kind: 'src', was: rule.src, now: script.src });
+            }
+
+            classified.push(Object.assign({ tier: rule.tier, id: rule.id, category: rule.category }, script));
+            return;
+        }
+
+        const entry = {
+            id: suggestId(script.src, taken),
+            tier: isWixPlatform(script.src) ? 'deferred' : 'optional',
+            pattern: suggestPattern(WixScriptManifest, script.src)
+        };
+        output.scripts.push(entry);
+        unmatched.push(Object.assign({ suggested: entry }, script));
+        classified.push(Object.assign({ tier: null, id: null, category: null }, script));
+    });
+
+    return {
+        url: baseUrl,
+        profile: profile.name,
+        strategy: profile.strategy,
+        scripts: classified,
+        unmatched: unmatched,
+        stale: stale,
+        unusedRules: manifest.rules.filter(rule => !seenRules.has(rule.id)).map(rule => rule.id),
+        manifest: output
+    };
+}
+
+function formatSize(bytes) {
+    return typeof bytes === 'number' ? `${Math.round(bytes / 1024)}KB` : '';
+}
+
+function printReport(report) {
+    const counts = {};
+    report.scripts.forEach(script => script.sources.forEach(source => {
+        counts[source] = (counts[source] || 0) + 1;
+    }));
+
+    console.log(`🔍 ${report.url}: profile ${report.profile} (${report.strategy}), ${report.scripts.length} scripts (${Object.keys(counts).map(source => `${counts[source]} from ${source}`).join(', ')})\n`);
+
+    report.scripts.forEach(script => {
+        const file = script.src.split('/').pop().split('?')[0];
+        const timing = script.executionTime !== null ? `${script.executionTime}ms` : '';
+        console.log(`  ${(script.tier || '?').padEnd(9)} ${(script.id || '(unmatched)').padEnd(22)} ${file.padEnd(48)} ${formatSize(script.transferSize).padStart(6)} ${timing.padStart(7)}`);
+    });
+
+    if (report.unmatched.length) {
+        console.log(`\n⚠️ ${report.unmatched.length} scripts match no rule, added to the manifest for review:`);
+        report.unmatched.forEach(script => console.log(`  ${script.suggested.id} (${script.suggested.tier}): ${script.suggested.pattern}`));
+    }
+
+    if (report.stale.length) {
+        console.log(`\n🔄 ${report.stale.length} stale hashes, updated:`);
+        report.stale.forEach(item => console.log(`  ${item.id} ${item.kind}: ${[].concat(item.was).join(', ')} -> ${[].concat(item.now).join(', ')}`));
+    }
+
+    if (report.unusedRules.length) {
+        console.log(`\nℹ️ Rules that matched nothing on this page: ${report.unusedRules.join(', ')}`);
+    }
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (!options.html) {
+        console.error('Usage: node tools/audit.js page.html [--url URL] [--profile NAME] [--har FILE] [--lighthouse FILE] [--manifest FILE] [--out FILE] [--json] [--strict]');
+        process.exit(2);
+    }
+
+    let report;
+    try {
+        report = audit(options);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(2);
+    }
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+
+    if (options.out) {
+        fs.writeFileSync(options.out, `${JSON.stringify(report.manifest, null, 4)}\n`);
+        if (!options.json) console.log(`\n✅ Manifest written to ${options.out}`);
+    }
+
+    if (options.strict && (report.unmatched.length || report.stale.length)) process.exit(1);
+}
+
+module.exports = { audit: audit, loadEngine: loadEngine, collectScripts: collectScripts, parseArgs: parseArgs };
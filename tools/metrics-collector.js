@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+// Reference collector for the optimizer's field metrics (see WixMetricsReporter).
+//
+//     node tools/metrics-collector.js [--port 8787] [--out metrics.ndjson]
+//
+// POST /collect   accepts report batches (any content type, JSON body)
+// GET  /summary   p75 of each metric per profile and A/B arm
+// GET  /batches   every batch received since start
+//
+// Batches are kept in memory and, with --out, appended to an NDJSON file that
+// is read back on start, so restarts keep the history.
+const http = require('http');
+const fs = require('fs');
+
+const SCHEMA_VERSION = 1;
+const METRICS = ['fcp', 'lcp', 'cls', 'inp', 'tbt'];
+const MAX_BODY_BYTES = 256 * 1024;
+
+function parseArgs(argv) {
+    const options = { port: Number(process.env.PORT) || 8787, out: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = Number(argv[++i]);
+        else if (argv[i] === '--out') options.out = argv[++i];
+    }
+
+    return options;
+}
+
+function isValidBatch(batch) {
+    return batch && batch.schema === SCHEMA_VERSION && Array.isArray(batch.records);
+}
+
+// The most recent record of a page view's batches that carries vitals (the
+// final snapshot when the page was hidden, otherwise the completion record)
+function latestMetrics(batches) {
+    for (let b = batches.length - 1; b >= 0; b--) {
+        const records = batches[b].records;
+        for (let i = records.length - 1; i >= 0; i--) {
+            const data = records[i].data;
+            if (data && data.vitals) return data;
+        }
+    }
+    return null;
+}
+
+// A page view sends a batch each time the page is hidden or unloaded; batches
+// without a `pageView` id count as page views of their own
+function groupPageViews(batches) {
+    const pageViews = new Map();
+
+    batches.forEach((batch, index) => {
+        const id = batch.pageView || `batch-${index}`;
+        if (!pageViews.has(id)) pageViews.set(id, []);
+        pageViews.get(id).push(batch);
+    });
+
+    return Array.from(pageViews.values());
+}
+
+function percentile(values, p) {
+    if (values.length === 0) return null;
+
+    const sorted = values.slice().sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+function summarize(batches) {
+    const groups = new Map();
+
+    groupPageViews(batches).forEach(pageView => {
+        const data = latestMetrics(pageView);
+        if (!data) return;
+
+        const key = `${data.profile || 'unknown'}/${data.arm || 'treatment'}`;
+        if (!groups.has(key)) {
+            groups.set(key, { pageViews: 0, failedScripts: 0, values: {}, optimizationTime: [] });
+        }
+
+        const group = groups.get(key);
+        group.pageViews++;
+        group.failedScripts += (data.failedScripts || []).length;
+        if (typeof data.optimizationTime === 'number') group.optimizationTime.push(data.optimizationTime);
+
+        METRICS.forEach(metric => {
+            const value = data.vitals[metric];
+            if (typeof value !== 'number') return;
+            (group.values[metric] = group.values[metric] || []).push(value);
+        });
+    });
+
+    // { profile: { control: {...}, treatment: {...} } }
+    const summary = {};
+    groups.forEach((group, key) => {
+        const [profile, arm] = key.split('/');
+        const result = {
+            pageViews: group.pageViews,
+            failedScripts: group.failedScripts,
+            p75: {},
+            optimizationTimeP75: percentile(group.optimizationTime, 75)
+        };
+
+        METRICS.forEach(metric => {
+            result.p75[metric] = percentile(group.values[metric] || [], 75);
+        });
+
+        summary[profile] = summary[profile] || {};
+        summary[profile][arm] = result;
+    });
+
+    return summary;
+}
+
+function loadHistory(file) {
+    if (!file || !fs.existsSync(file)) return [];
+
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                return null;
+            }
+        })
+        .filter(isValidBatch);
+}
+
+function send(response, status, body) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    response.end(body === undefined ? '' : JSON.stringify(body, null, 2));
+}
+
+function createCollector(options = {}) {
+    const batches = loadHistory(options.out);
+
+    const server = http.createServer((request, response) => {
+        const path = request.url.split('?')[0];
+
+        if (request.method === 'OPTIONS') {
+            send(response, 204);
+            return;
+        }
+
+        if (request.method === 'GET' && path === '/summary') {
+            send(response, 200, summarize(batches));
+            return;
+        }
+
+        if (request.method === 'GET' && path === '/batches') {
+            send(response, 200, batches);
+            return;
+        }
+
+        if (request.method !== 'POST' || path !== '/collect') {
+            send(response, 404, { error: 'not found' });
+            return;
+        }
+
+        let body = '';
+        let tooLarge = false;
+        request.setEncoding('utf8');
+
+        request.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES && !tooLarge) {
+                tooLarge = true;
+                send(response, 413, { error: 'payload too large' });
+                request.destroy();
+            }
+        });
+
+        request.on('end', () => {
+            if (tooLarge) return;
+
+            let batch;
+            try {
+                batch = JSON.parse(body);
+            } catch (error) {
+                send(response, 400, { error: 'invalid JSON' });
+                return;
+            }
+
+            if (!isValidBatch(batch)) {
+                send(response, 400, { error: `expected schema ${SCHEMA_VERSION} with a records array` });
+                return;
+            }
+
+            batch.receivedAt = new Date().toISOString();
+            batches.push(batch);
+
+            if (options.out) {
+                fs.appendFileSync(options.out, `${JSON.stringify(batch)}\n`);
+            }
+
+            send(response, 204);
+        });
+    });
+
+    return { server: server, batches: batches };
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    const { server } = createCollector(options);
+
+    server.listen(options.port, () => {
+        console.log(`📥 Metrics collector listening on http://localhost:${options.port}/collect`);
+        console.log(`📊 Summary at http://localhost:${options.port}/summary`);
+    });
+}
+
+module.exports = { createCollector, summarize, percentile };
@@ -0,0 +1,113 @@
+// Device and network capability profiling for the Wix optimizer elements.
+//
+// Reads the connection (`navigator.connection`: effectiveType, saveData, rtt,
+// downlink), `navigator.deviceMemory`, `navigator.hardwareConcurrency`, the
+// pointer type and how often the page has had long tasks, and picks a loading
+// policy tier for the page view:
+//
+// - `minimal`: Save-Data or 2g; optional widgets only load on interaction (or
+//   through loadOptionalScript), everything waits twice as long and nothing is
+//   prefetched
+// - `constrained`: 3g, high RTT, at most 2GB of memory or 2 cores, or frequent
+//   long tasks; one script at a time, waits 1.5x as long
+// - `standard`: the fixed timings the elements always had
+// - `eager`: fast desktops (4g, low RTT, 8GB, 8 cores, fine pointer, quiet main
+//   thread); four scripts at a time and deferred and optional scripts load as
+//   soon as the browser is idle
+//
+// Browsers without the connection or memory APIs never get `eager`. A
+// `capability-tier` attribute on the element forces a tier.
+class WixCapabilityProfiler {
+    static get TIERS() {
+        return ['minimal', 'constrained', 'standard', 'eager'];
+    }
+
+    // timeScale multiplies every fixed wait: idle timeouts and their fallbacks,
+    // trigger delays, the profile's startDelay and (never shortening it) the
+    // rollback hydration check; prefetchScale the budget of
+    // WixNavigationPredictor (0 turns it off)
+    static get POLICIES() {
+        return {
+            minimal: { timeScale: 2, concurrency: 1, skipOptional: true, eager: false, prefetchScale: 0 },
+            constrained: { timeScale: 1.5, concurrency: 1, skipOptional: false, eager: false, prefetchScale: 0.5 },
+            standard: { timeScale: 1, concurrency: 2, skipOptional: false, eager: false, prefetchScale: 1 },
+            eager: { timeScale: 0.25, concurrency: 4, skipOptional: false, eager: true, prefetchScale: 2 }
+        };
+    }
+
+    // Long tasks per second of the page view, over at least 5 seconds so a
+    // fresh page view isn't judged on one task
+    static longTaskRate(longTasks, since) {
+        const seconds = Math.max(5, (performance.now() - since) / 1000);
+        return Math.round((longTasks.length / seconds) * 100) / 100;
+    }
+
+    static readSignals(longTasks = [], since = 0) {
+        const connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection || null;
+        const finePointer = typeof window.matchMedia === 'function'
+            ? window.matchMedia('(pointer: fine)').matches
+            : null;
+
+        return {
+            effectiveType: connection && connection.effectiveType ? connection.effectiveType : null,
+            saveData: connection ? !!connection.saveData : false,
+            rtt: connection && typeof connection.rtt === 'number' ? connection.rtt : null,
+            downlink: connection && typeof connection.downlink === 'number' ? connection.downlink : null,
+            deviceMemory: typeof navigator.deviceMemory === 'number' ? navigator.deviceMemory : null,
+            hardwareConcurrency: navigator.hardwareConcurrency || null,
+            finePointer: finePointer,
+            longTaskRate: WixCapabilityProfiler.longTaskRate(longTasks, since)
+        };
+    }
+
+    // { tier, reasons } for a set of signals; unknown signals never count
+    // against the device, but never for it either
+    static classify(signals) {
+        const minimal = [];
+        if (signals.saveData) minimal.push('save-data');
+        if (signals.effectiveType === 'slow-2g' || signals.effectiveType === '2g') minimal.push(signals.effectiveType);
+        if (minimal.length) return { tier: 'minimal', reasons: minimal };
+
+        const constrained = [];
+        if (signals.effectiveType === '3g') constrained.push('3g');
+        if (signals.rtt !== null && signals.rtt >= 300) constrained.push(`rtt ${signals.rtt}ms`);
+        if (signals.deviceMemory !== null && signals.deviceMemory <= 2) constrained.push(`${signals.deviceMemory}GB memory`);
+        if (signals.hardwareConcurrency !== null && signals.hardwareConcurrency <= 2) constrained.push(`${signals.hardwareConcurrency} cores`);
+        if (signals.longTaskRate >= 0.5) constrained.push(`${signals.longTaskRate} long tasks/s`);
+        if (constrained.length) return { tier: 'constrained', reasons: constrained };
+
+        const fast = signals.effectiveType === '4g' &&
+            (signals.rtt === null || signals.rtt < 100) &&
+            signals.deviceMemory !== null && signals.deviceMemory >= 8 &&
+            signals.hardwareConcurrency !== null && signals.hardwareConcurrency >= 8 &&
+            signals.finePointer === true &&
+            signals.longTaskRate < 0.1;
+        if (fast) return { tier: 'eager', reasons: ['fast desktop'] };
+
+        return { tier: 'standard', reasons: [] };
+    }
+
+    // Tier, reasons, signals and policy for the current page view
+    static profile(options = {}) {
+        const signals = WixCapabilityProfiler.readSignals(options.longTasks, options.since);
+        let result = WixCapabilityProfiler.classify(signals);
+
+        if (options.override) {
+            if (WixCapabilityProfiler.TIERS.includes(options.override)) {
+                result = { tier: options.override, reasons: ['capability-tier attribute'] };
+            } else {
+                console.warn(`⚠️ Unknown capability tier "${options.override}", using ${result.tier}`);
+            }
+        }
+
+        return {
+            tier: result.tier,
+            reasons: result.reasons,
+            signals: signals,
+            policy: WixCapabilityProfiler.POLICIES[result.tier]
+        };
+    }
+}
+
+// Export for external use
+window.WixCapabilityProfiler = WixCapabilityProfiler;
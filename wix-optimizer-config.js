@@ -0,0 +1,247 @@
+// Runtime configuration for the Wix optimizer elements.
+//
+// Settings come from three places, later ones winning:
+//
+// 1. the defaults below (the values the elements always had)
+// 2. `window.WixOptimizer.configure({...})`, which may be called before or
+//    after the elements upgrade and applies to every element on the page
+// 3. the element's own attributes: `idle-timeout`, `batch-size`, `debug` and
+//    `disabled`
+//
+//     WixOptimizer.configure({
+//         idleTimeout: 5000,
+//         batchSize: 1,
+//         profiles: { product: { images: { lazy: '.my-gallery img' } } }
+//     });
+//
+// Pages that configure before this script loads can leave a settings object
+// (`window.WixOptimizer = { config: {...} }`) or a stub that queues its calls
+// in `q` as `['configure', {...}]`; both are applied when it loads.
+//
+// Unknown keys and values of the wrong type are ignored with a warning, so a
+// typo never takes the optimizer down.
+class WixOptimizerConfig {
+    // type, bounds, default and the attribute that overrides it
+    static get SCHEMA() {
+        return {
+            // requestIdleCallback timeout and setTimeout fallback before
+            // deferred scripts load (ms, scaled by the capability tier)
+            idleTimeout: { type: 'number', min: 0, default: 3000, attribute: 'idle-timeout' },
+            idleFallback: { type: 'number', min: 0, default: 800 },
+            // Scripts loading at once; null leaves it to the capability tier
+            batchSize: { type: 'integer', min: 1, default: null, attribute: 'batch-size' },
+            // Share of page scripts loaded before the optimization counts as
+            // complete, and the wait after that
+            completionThreshold: { type: 'number', min: 0, max: 1, default: 0.9 },
+            completionDelay: { type: 'number', min: 0, default: 500 },
+            // Share of a widget in view before a `visible` trigger fires, unless
+            // its manifest rule says otherwise
+            visibleThreshold: { type: 'number', min: 0, max: 1, default: 0.1 },
+            // Log every action taken on a script, show WixOptimizerOverlay
+            debug: { type: 'boolean', default: false, attribute: 'debug' },
+            // Measure only, like the control arm
+            disabled: { type: 'boolean', default: false, attribute: 'disabled' },
+            // Per-profile overrides of the registered profiles' settings
+            profiles: { type: 'object', default: {} }
+        };
+    }
+
+    // Profile settings `profiles` may override
+    static get PROFILE_KEYS() {
+        return ['label', 'manifest', 'startDelay', 'dnsPrefetch', 'predictions', 'images', 'fonts', 'criticalCss'];
+    }
+
+    static get ATTRIBUTES() {
+        const schema = WixOptimizerConfig.SCHEMA;
+        return Object.keys(schema).filter(key => schema[key].attribute).map(key => schema[key].attribute);
+    }
+
+    static defaults() {
+        const schema = WixOptimizerConfig.SCHEMA;
+        const defaults = {};
+        Object.keys(schema).forEach(key => {
+            defaults[key] = schema[key].default;
+        });
+        return defaults;
+    }
+
+    // The value if it fits the schema, undefined (with a warning) if not
+    static validate(key, value, label) {
+        const spec = WixOptimizerConfig.SCHEMA[key];
+        const reject = reason => {
+            console.warn(`⚠️ Ignoring ${label}: ${reason}`, value);
+            return undefined;
+        };
+
+        if (spec.type === 'boolean') {
+            return typeof value === 'boolean' ? value : reject('expected true or false');
+        }
+
+        if (spec.type === 'object') {
+            return value && typeof value === 'object' && !Array.isArray(value) ? value : reject('expected an object');
+        }
+
+        // null restores the default where the default is null
+        if (value === null && spec.default === null) return null;
+
+        if (typeof value !== 'number' || !isFinite(value)) return reject('expected a number');
+        if (spec.type === 'integer' && !Number.isInteger(value)) return reject('expected a whole number');
+        if (spec.min !== undefined && value < spec.min) return reject(`below ${spec.min}`);
+        if (spec.max !== undefined && value > spec.max) return reject(`above ${spec.max}`);
+
+        return value;
+    }
+
+    static validateProfiles(profiles) {
+        const valid = {};
+
+        Object.keys(profiles).forEach(name => {
+            const overrides = profiles[name];
+            if (!overrides || typeof overrides !== 'object') {
+                console.warn(`⚠️ Ignoring profiles.${name}: expected an object`);
+                return;
+            }
+
+            valid[name] = {};
+            Object.keys(overrides).forEach(key => {
+                if (WixOptimizerConfig.PROFILE_KEYS.includes(key)) {
+                    valid[name][key] = overrides[key];
+                } else {
+                    console.warn(`⚠️ Ignoring profiles.${name}.${key}: not a profile setting (${WixOptimizerConfig.PROFILE_KEYS.join(', ')})`);
+                }
+            });
+        });
+
+        return valid;
+    }
+
+    // Merge settings into the page-wide configuration and apply them to the
+    // elements already running
+    static configure(options) {
+        if (!options || typeof options !== 'object') {
+            console.warn('⚠️ WixOptimizer.configure() expects an object');
+            return WixOptimizerConfig.get();
+        }
+
+        Object.keys(options).forEach(key => {
+            if (!WixOptimizerConfig.SCHEMA[key]) {
+                console.warn(`⚠️ Unknown WixOptimizer option "${key}" (known: ${Object.keys(WixOptimizerConfig.SCHEMA).join(', ')})`);
+                return;
+            }
+
+            const value = WixOptimizerConfig.validate(key, options[key], `option ${key}`);
+            if (value === undefined) return;
+
+            if (key === 'profiles') {
+                const profiles = WixOptimizerConfig.validateProfiles(value);
+                Object.keys(profiles).forEach(name => {
+                    WixOptimizerConfig.global.profiles[name] = Object.assign({}, WixOptimizerConfig.global.profiles[name], profiles[name]);
+                });
+            } else {
+                WixOptimizerConfig.global[key] = value;
+            }
+        });
+
+        WixOptimizerConfig.elements.forEach(element => element.refreshConfig());
+        return WixOptimizerConfig.get();
+    }
+
+    // Page-wide configuration: defaults plus configure()
+    static get() {
+        const config = Object.assign(WixOptimizerConfig.defaults(), WixOptimizerConfig.global);
+        config.profiles = Object.assign({}, WixOptimizerConfig.global.profiles);
+        return config;
+    }
+
+    // Attribute value as its schema type; undefined when absent or invalid
+    static fromAttribute(key, value) {
+        if (value === null) return undefined;
+
+        const spec = WixOptimizerConfig.SCHEMA[key];
+        const attribute = spec.attribute;
+
+        if (spec.type === 'boolean') {
+            // Present means on, except an explicit "false"
+            return value !== 'false';
+        }
+
+        if (value.trim() === '') {
+            console.warn(`⚠️ Ignoring empty ${attribute} attribute`);
+            return undefined;
+        }
+
+        return WixOptimizerConfig.validate(key, Number(value), `${attribute} attribute`);
+    }
+
+    // Configuration for one element
+    static resolve(element) {
+        const config = WixOptimizerConfig.get();
+        const schema = WixOptimizerConfig.SCHEMA;
+
+        Object.keys(schema).filter(key => schema[key].attribute).forEach(key => {
+            const value = WixOptimizerConfig.fromAttribute(key, element.getAttribute(schema[key].attribute));
+            if (value !== undefined) config[key] = value;
+        });
+
+        return config;
+    }
+
+    // A registered profile with configure()'s overrides applied; settings that
+    // are objects (images, fonts, criticalCss) are merged one level deep, a
+    // manifest replaces the profile's
+    static applyProfile(profile) {
+        const overrides = profile ? WixOptimizerConfig.global.profiles[profile.name] : null;
+        if (!overrides) return profile;
+
+        const merged = Object.assign({}, profile, { name: profile.name });
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+        Object.keys(overrides).forEach(key => {
+            merged[key] = key !== 'manifest' && isObject(profile[key]) && isObject(overrides[key])
+                ? Object.assign({}, profile[key], overrides[key])
+                : overrides[key];
+        });
+
+        return merged;
+    }
+
+    // A call queued by a stub that was in place before this script loaded:
+    // ['configure', options] or that call's arguments object
+    static runQueued(call) {
+        const [method, ...args] = Array.from(call || []);
+
+        if (method === 'configure') {
+            WixOptimizerConfig.configure(...args);
+        } else {
+            console.warn(`⚠️ Ignoring queued WixOptimizer call "${method}"`);
+        }
+    }
+
+    static register(element) {
+        WixOptimizerConfig.elements.add(element);
+    }
+
+    static unregister(element) {
+        WixOptimizerConfig.elements.delete(element);
+    }
+}
+
+WixOptimizerConfig.global = { profiles: {} };
+WixOptimizerConfig.elements = new Set();
+
+// Export for external use
+window.WixOptimizerConfig = WixOptimizerConfig;
+
+// The page-facing API, taking over whatever the page set up before
+const earlyWixOptimizer = window.WixOptimizer || {};
+const earlyQueue = Array.isArray(earlyWixOptimizer.q) ? earlyWixOptimizer.q.splice(0) : [];
+
+window.WixOptimizer = Object.assign(earlyWixOptimizer, {
+    configure: options => WixOptimizerConfig.configure(options),
+    getConfig: () => WixOptimizerConfig.get(),
+    // Snippets that keep pushing onto the queue run their calls right away
+    q: { push: call => WixOptimizerConfig.runQueued(call) }
+});
+
+if (earlyWixOptimizer.config) WixOptimizerConfig.configure(earlyWixOptimizer.config);
+earlyQueue.forEach(call => WixOptimizerConfig.runQueued(call));
@@ -0,0 +1,1556 @@
+// Shared engine behind the Wix optimizer elements.
+//
+// Each element is configured by a named profile (see WixOptimizerProfiles)
+// that selects the manifest, the completion event and one of the strategies:
+//
+// - annotate:            only add priority/defer hints to the scripts on the page
+// - reorder:             annotate, and pull deferred/optional scripts that have
+//                        not been fetched yet out of the page to load them after
+//                        the critical ones
+// - remove-and-reinject: take every matching script out of the page and load
+//                        fresh copies tier by tier
+//
+// Client-side navigations (see WixNavigationWatcher) start a new page view:
+// the profile is resolved again for the new URL and scripts that weren't
+// classified yet go through it. Scripts inserted after the optimization
+// started are picked up by a MutationObserver and handled the same way.
+class WixOptimizerProfiles {
+    static get STRATEGIES() {
+        return {
+            'annotate': 'runAnnotate',
+            'reorder': 'runReorder',
+            'remove-and-reinject': 'runRemoveAndReinject'
+        };
+    }
+
+    static register(name, profile) {
+        if (!WixOptimizerProfiles.STRATEGIES[profile.strategy]) {
+            console.warn(`⚠️ Profile "${name}" has unknown strategy "${profile.strategy}", not registered`);
+            return;
+        }
+
+        WixOptimizerProfiles.registry.set(name, Object.assign({
+            name: name,
+            label: name,
+            element: 'wix-js-optimizer',
+            completeEvent: 'wix-js-optimization-complete',
+            manifest: { version: 1, scripts: [] },
+            matches: () => false,
+            fallback: false,
+            startDelay: 0,
+            dnsPrefetch: [],
+            predictions: [],
+            images: { lcp: null, lazy: null },
+            fonts: { aboveFold: 'swap', belowFold: 'swap', maxPreload: 3 },
+            criticalCss: null
+        }, profile, { name: name }));
+    }
+
+    static get(name) {
+        return WixOptimizerProfiles.registry.get(name) || null;
+    }
+
+    // Pick the single profile that applies to a page: the first specific match,
+    // otherwise `preferred` (an element's default), otherwise the fallback profile
+    static resolve(location = window.location, preferred = null) {
+        const profiles = Array.from(WixOptimizerProfiles.registry.values());
+
+        return profiles.find(profile => !profile.fallback && profile.matches(location)) ||
+            (preferred && WixOptimizerProfiles.get(preferred)) ||
+            profiles.find(profile => profile.fallback) ||
+            null;
+    }
+
+    // Selector for every optimizer element any profile can create
+    static get elementSelector() {
+        const tags = new Set(Array.from(WixOptimizerProfiles.registry.values()).map(profile => profile.element));
+        return Array.from(tags).join(', ');
+    }
+}
+
+WixOptimizerProfiles.registry = new Map();
+
+class WixOptimizerElement extends HTMLElement {
+    constructor() {
+        super();
+
+        // Aborted when the element disconnects, which ends every timer, idle
+        // callback and listener of the connection, see teardown()
+        this.lifecycle = null;
+
+        this.isLoaded = false;
+        this.optimizationStartTime = performance.now();
+        this.profile = null;
+
+        // Defaults, WixOptimizer.configure() and attributes, see WixOptimizerConfig
+        this.config = WixOptimizerConfig.get();
+
+        // Shadow-DOM panel shown in debug mode, see WixOptimizerOverlay
+        this.overlay = null;
+
+        // Script URLs per tier, resolved from the manifest against the live DOM
+        this.manifest = null;
+        this.scripts = { critical: [], deferred: [], optional: [] };
+        this.scheduler = null;
+
+        // Every copy of every script on the page, by canonical id, see WixScriptIdentity
+        this.identity = new WixScriptIdentity();
+
+        // Each script goes in as a task of its own, see WixTaskScheduler
+        this.tasks = new WixTaskScheduler();
+
+        // Loading policy for this device and network, see WixCapabilityProfiler
+        this.capability = null;
+
+        // Per-script load triggers, see WixScriptTriggers
+        this.triggers = null;
+
+        // Consent-gated third-party tags, see WixThirdPartyGovernor
+        this.thirdParty = new WixThirdPartyGovernor(this);
+
+        // Likely next pages, see WixNavigationPredictor
+        this.predictor = null;
+
+        // LCP image, lazy offscreen images, sized media URLs, see WixImageOptimizer
+        this.images = null;
+
+        // Font preloads and font-display, measured on every arm, see WixFontOptimizer
+        this.fonts = new WixFontOptimizer();
+
+        // Cached above-the-fold CSS per template, see WixCriticalCss
+        this.criticalCss = null;
+
+        // Optional companion service worker, see WixServiceWorkerCompanion
+        this.serviceWorker = null;
+
+        // Third-party scripts run off the main thread, see WixWorkerProxy
+        this.workerProxy = null;
+        this.workerScripts = new WeakSet();
+
+        this.loadedScripts = new Set();
+        this.failedScripts = new Set();
+
+        // Load outcome of every page script, including ones inserted later
+        this.resetMonitor();
+        this.scriptObserver = null;
+
+        // What was done to each script, keyed by absolute URL
+        this.scriptActions = new Map();
+
+        // Page scripts taken out, where they were, inert tags swapped for
+        // scripts that run (released third-party tags, worker fallbacks), and
+        // the attributes changed on page scripts with their original values,
+        // for restore()
+        this.takenOut = [];
+        this.swapped = [];
+        this.annotations = new Map();
+
+        // Web vitals, attributed to the scripts in scriptActions
+        this.vitals = new WixVitalsCollector();
+
+        // Field reporting, only when a `report-endpoint` is set
+        this.reporter = null;
+
+        // A/B arm; the control arm only measures
+        this.experiment = null;
+
+        // Rollback when the optimization breaks the page, see WixRollbackGuard
+        this.rollbackGuard = null;
+        this.rolledBack = null;
+        this.disabledReason = null;
+
+        // Current page view; client-side navigations start a new one
+        this.navigation = { id: 0, type: 'initial', url: window.location.href, startTime: 0 };
+        this.earlierScripts = new WeakSet();
+        this.onNavigation = event => this.handleNavigation(event.detail);
+    }
+
+    // Profile used without a `profile` attribute when no specific profile
+    // matches the URL; null means the fallback profile
+    static get defaultProfile() {
+        return null;
+    }
+
+    // Documented attributes; the rest are read when a page view starts
+    static get observedAttributes() {
+        return ['profile', ...WixOptimizerConfig.ATTRIBUTES];
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        // Attributes present at upgrade are read in connectedCallback
+        if (oldValue === newValue || !this.isConnected || !this.profile) return;
+
+        if (name === 'profile') {
+            this.handleNavigation({ type: 'reconfigure', from: window.location.href, to: window.location.href });
+            return;
+        }
+
+        this.refreshConfig();
+    }
+
+    // Settings changed through an attribute or WixOptimizer.configure(). Most
+    // are read as they are used; turning the optimizer off undoes what it did
+    refreshConfig() {
+        const wasDisabled = this.config.disabled;
+        this.config = WixOptimizerConfig.resolve(this);
+
+        if (this.config.debug) console.log('🔧 Optimizer configuration:', this.config);
+        this.updateOverlay();
+
+        if (!this.profile) return;
+
+        if (this.config.disabled && !wasDisabled && !this.experiment.isControl() && !this.disabledReason) {
+            this.rollback({ type: 'disabled', message: 'disabled by configuration' });
+        } else if (!this.config.disabled && wasDisabled) {
+            console.log('⏸️ Optimizer enabled again, from the next page view on');
+        }
+    }
+
+    updateOverlay() {
+        if (this.config.debug) {
+            if (!this.overlay) this.overlay = new WixOptimizerOverlay(this);
+            this.overlay.show();
+        } else if (this.overlay) {
+            this.overlay.hide();
+        }
+    }
+
+    connectedCallback() {
+        this.style.display = 'none'; // Hidden element
+
+        // Moved within the document: the connection carries on
+        if (this.lifecycle && !this.lifecycle.signal.aborted) return;
+
+        // One optimizer per page; a second element stays inert
+        const active = WixOptimizerElement.active;
+        if (active && active !== this && active.isConnected) {
+            console.warn(`⚠️ <${active.localName}> already optimizes this page, ignoring this <${this.localName}>`);
+            return;
+        }
+
+        WixOptimizerElement.active = this;
+        this.lifecycle = new AbortController();
+
+        WixOptimizerConfig.register(this);
+        this.config = WixOptimizerConfig.resolve(this);
+        this.updateOverlay();
+        this.vitals.start();
+        this.tasks.start();
+        this.fonts.observe();
+
+        // Thunderbolt navigates without reloading the page
+        WixNavigationWatcher.install();
+        window.addEventListener(WixNavigationWatcher.EVENT, this.onNavigation, { signal: this.lifecycle.signal });
+
+        // Connected again after a teardown: what it did is still on the page,
+        // so carry on as a new page view (the teardown reported the last one)
+        if (this.profile) {
+            this.handleNavigation({ type: 'reconnect', from: window.location.href, to: window.location.href });
+            this.setupReporting();
+            return;
+        }
+
+        this.profile = this.resolveProfile();
+        if (!this.profile) {
+            console.warn(`⚠️ No optimizer profile applies to ${window.location.href}, skipping`);
+            return;
+        }
+
+        this.experiment = new WixOptimizerExperiment({
+            name: this.getAttribute('experiment') || undefined,
+            controlPercent: this.getAttribute('control-percent')
+        });
+
+        // An earlier rollback keeps the optimizer off on this URL
+        this.disabledReason = WixRollbackGuard.getDisabled();
+
+        this.setupReporting();
+        this.initOptimization();
+    }
+
+    disconnectedCallback() {
+        // Moving the element disconnects and reconnects it in one go
+        queueMicrotask(() => {
+            if (!this.isConnected) this.teardown();
+        });
+    }
+
+    // Stop everything the connection started. What was done to the page stays
+    // (see restore()); the third-party tags held stay held until it connects
+    // again
+    teardown() {
+        if (!this.lifecycle || this.lifecycle.signal.aborted) return;
+
+        this.lifecycle.abort();
+
+        if (this.triggers) this.triggers.disconnect();
+        if (this.rollbackGuard) this.rollbackGuard.stop();
+        if (this.predictor) this.predictor.stop();
+        if (this.overlay) this.overlay.hide();
+
+        // Stylesheets back to their own media
+        if (this.criticalCss) this.criticalCss.restoreAll();
+
+        if (this.workerProxy) {
+            this.workerProxy.terminate();
+            this.workerProxy = null;
+        }
+
+        if (this.reporter) {
+            this.reporter.flush('disconnect');
+            this.reporter.stop();
+            this.reporter = null;
+        }
+
+        this.stopObservingScripts();
+        this.thirdParty.stop();
+        this.vitals.disconnect();
+        this.tasks.stop();
+        this.fonts.stop();
+
+        WixOptimizerConfig.unregister(this);
+        if (WixOptimizerElement.active === this) WixOptimizerElement.active = null;
+
+        console.log(`🔌 ${this.profile ? this.profile.label : 'Wix'} optimizer disconnected`);
+    }
+
+    // Disconnected (or never connected): nothing new starts
+    isTornDown() {
+        return !this.lifecycle || this.lifecycle.signal.aborted;
+    }
+
+    setupReporting() {
+        const endpoint = this.getAttribute('report-endpoint');
+        if (!endpoint || this.reporter) return;
+
+        this.reporter = new WixMetricsReporter({
+            endpoint: endpoint,
+            sampleRate: this.getAttribute('report-sample-rate'),
+            collect: () => this.getReportSnapshot()
+        });
+        this.reporter.start();
+    }
+
+    resolveProfile() {
+        // An explicit `profile` attribute wins, even across navigations
+        const name = this.getAttribute('profile');
+
+        if (name) {
+            const profile = WixOptimizerProfiles.get(name);
+            if (profile) return WixOptimizerConfig.applyProfile(profile);
+            console.warn(`⚠️ Unknown optimizer profile "${name}", resolving from the URL`);
+        }
+
+        return WixOptimizerConfig.applyProfile(WixOptimizerProfiles.resolve(window.location, this.constructor.defaultProfile));
+    }
+
+    // A client-side navigation ended the current page view: report it, reset
+    // the per-view state and optimize the new page with whatever profile
+    // applies to it
+    handleNavigation(navigation) {
+        console.log(`🔄 ${navigation.type} navigation to ${navigation.to}, re-evaluating the optimizer profile`);
+
+        if (this.reporter) {
+            this.reporter.flush('navigation', navigation.from);
+            this.reporter.startPageView();
+        }
+
+        this.resetPageView();
+        this.navigation = {
+            id: this.navigation.id + 1,
+            type: navigation.type,
+            url: navigation.to,
+            startTime: performance.now()
+        };
+
+        this.profile = this.resolveProfile();
+        if (!this.profile) {
+            console.warn(`⚠️ No optimizer profile applies to ${navigation.to}, skipping`);
+            return;
+        }
+
+        this.disabledReason = WixRollbackGuard.getDisabled();
+
+        // pushState comes first, the new page's chunks right after: give
+        // thunderbolt a moment to insert them so they get classified too
+        const navigationId = this.navigation.id;
+        this.scheduleIdle(() => {
+            if (!this.isStale(navigationId)) this.initOptimization();
+        }, 1000, 300);
+    }
+
+    resetPageView() {
+        // Those already ran; later views leave them alone
+        document.querySelectorAll('script[src]').forEach(script => this.earlierScripts.add(script));
+
+        if (this.triggers) this.triggers.disconnect();
+        if (this.rollbackGuard) this.rollbackGuard.stop();
+        this.stopObservingScripts();
+        this.resetMonitor();
+
+        this.vitals.disconnect();
+        this.vitals = new WixVitalsCollector({ since: performance.now() });
+        this.vitals.start();
+
+        this.isLoaded = false;
+        this.optimizationStartTime = performance.now();
+        this.scriptActions = new Map();
+        this.loadedScripts = new Set();
+        this.failedScripts = new Set();
+        this.triggers = null;
+        this.rollbackGuard = null;
+        this.rolledBack = null;
+    }
+
+    // Work scheduled for a page view that has since been navigated away from,
+    // or by a connection that has ended
+    isStale(navigationId) {
+        return navigationId !== this.navigation.id || this.isTornDown();
+    }
+
+    // Once per page view, so long tasks of earlier views count
+    profileCapability() {
+        this.capability = WixCapabilityProfiler.profile({
+            longTasks: this.vitals.longTasks,
+            since: this.navigation.startTime,
+            override: this.getAttribute('capability-tier')
+        });
+
+        const reasons = this.capability.reasons.length ? ` (${this.capability.reasons.join(', ')})` : '';
+        console.log(`📶 Capability tier: ${this.capability.tier}${reasons}`);
+    }
+
+    getPolicy() {
+        return this.capability ? this.capability.policy : WixCapabilityProfiler.POLICIES.standard;
+    }
+
+    scaleTime(ms) {
+        return Math.round(ms * this.getPolicy().timeScale);
+    }
+
+    loadManifest() {
+        // Inline/attribute manifest or the profile's default, matched against the live DOM
+        this.manifest = WixScriptManifest.fromElement(this, this.profile.manifest);
+
+        const resolved = [];
+        WixScriptManifest.TIERS.forEach(tier => {
+            const entries = this.manifest.resolve(tier);
+            // Third-party tags are the governor's, not the tiers'
+            this.scripts[tier] = entries
+                .filter(entry => !WixThirdPartyGovernor.isGoverned(entry.rule))
+                .map(entry => entry.src);
+            resolved.push(...entries);
+        });
+
+        this.scheduler = this.createScheduler(resolved);
+    }
+
+    createScheduler(resolved) {
+        const scheduler = new WixScriptScheduler({
+            concurrency: this.config.batchSize || this.getPolicy().concurrency,
+            signal: this.lifecycle.signal,
+            load: node => {
+                const options = this.getLoadOptions(node.tier);
+                return Promise.all(node.srcs.map(src => this.tasks.postTask(() => this.loadScript(src, options), {
+                    priority: options.taskPriority
+                })));
+            }
+        });
+
+        this.manifest.rules.forEach(rule => {
+            scheduler.add(rule, resolved.filter(entry => entry.rule === rule).map(entry => entry.src));
+        });
+
+        return scheduler;
+    }
+
+    recordAction(src, action) {
+        const rule = this.manifest ? this.manifest.match(src) : null;
+        const record = this.scriptActions.get(src) || {
+            id: rule ? rule.id : null,
+            tier: rule ? rule.tier : null,
+            actions: []
+        };
+
+        if (!record.actions.includes(action)) record.actions.push(action);
+        this.scriptActions.set(src, record);
+
+        if (this.config.debug) console.log(`🔍 ${action}: ${src.split('/').pop()}`, record);
+    }
+
+    getLoadOptions(tier) {
+        if (tier === 'critical') {
+            return { priority: 'high', defer: false, taskPriority: 'user-blocking' };
+        }
+
+        if (tier === 'deferred') {
+            return { priority: 'low', defer: true, async: true, taskPriority: 'user-visible' };
+        }
+
+        return { priority: 'low', defer: true, async: true, taskPriority: 'background' };
+    }
+
+    // Manifest ids of a tier that have scripts on this page (third-party tags
+    // excluded)
+    getTierIds(tier) {
+        return this.manifest.getRules(tier)
+            .filter(rule => !WixThirdPartyGovernor.isGoverned(rule))
+            .filter(rule => this.scheduler.nodes.get(rule.id).srcs.length > 0)
+            .map(rule => rule.id);
+    }
+
+    initOptimization() {
+        const navigationId = this.navigation.id;
+
+        // Start following the page's scripts before any of them finishes unseen
+        this.identity.scan();
+
+        this.profileCapability();
+        this.loadManifest();
+
+        // Preload critical resources first (unless we only measure)
+        if (!this.isPassive()) {
+            this.applyCriticalCss();
+            this.addResourcePreloads();
+        }
+
+        // Wait for DOM to be fully loaded
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.startOptimization(), { signal: this.lifecycle.signal });
+        } else if (this.profile.startDelay > 0) {
+            // Use a slight delay to ensure existing scripts start loading first
+            this.setTimer(() => {
+                if (!this.isStale(navigationId)) this.startOptimization();
+            }, this.scaleTime(this.profile.startDelay));
+        } else {
+            this.startOptimization();
+        }
+    }
+
+    startOptimization() {
+        console.log(`⚡ Starting Wix ${this.profile.label} Optimization (${this.profile.strategy}, ${this.experiment.arm} arm)...`);
+
+        if (this.disabledReason) {
+            console.warn(`⏸️ Optimizer disabled on this URL after a rollback (${this.disabledReason.type}), measuring only`);
+        } else if (this.config.disabled) {
+            console.warn('⏸️ Optimizer disabled by configuration, measuring only');
+        }
+
+        const method = this.isPassive()
+            ? 'runControl'
+            : WixOptimizerProfiles.STRATEGIES[this.profile.strategy];
+        const fallBack = (error) => {
+            console.warn('⚠️ Optimization error, falling back to default loading:', error);
+            this.onOptimizationComplete();
+        };
+
+        try {
+            // Re-resolve now that the whole document has been parsed
+            this.loadManifest();
+
+            // Marked-up tags never run without us, so consent releases them in
+            // every arm; before any strategy touches the page
+            this.thirdParty.start();
+            this.thirdParty.scan();
+
+            if (!this.isPassive()) {
+                this.rollbackGuard = new WixRollbackGuard(this);
+                this.rollbackGuard.start();
+
+                this.setupServiceWorker();
+                this.startPrediction();
+                this.optimizeImages();
+                this.fonts.run(this.profile.fonts);
+            }
+
+            Promise.resolve(this[method]()).catch(fallBack);
+            this.runWorkerScripts();
+
+            // Thunderbolt inserts most chunks after this point
+            this.observeLateScripts();
+        } catch (error) {
+            fallBack(error);
+        }
+    }
+
+    // Register the companion service worker once and have it precache this
+    // page view's critical scripts
+    setupServiceWorker() {
+        const url = this.getAttribute('service-worker');
+        if (!url) return;
+
+        if (!this.serviceWorker) {
+            this.serviceWorker = new WixServiceWorkerCompanion(url);
+            this.serviceWorker.register();
+        }
+
+        this.serviceWorker.precache(this.scripts.critical);
+    }
+
+    // Links to prepare on this page view: the `predictions` attribute (JSON)
+    // wins over the profile's
+    getPredictionRules() {
+        const attribute = this.getAttribute('predictions');
+
+        if (attribute) {
+            try {
+                return WixNavigationPredictor.compileRules(JSON.parse(attribute));
+            } catch (error) {
+                console.warn('⚠️ Invalid predictions attribute, using the profile\'s:', error);
+            }
+        }
+
+        return WixNavigationPredictor.compileRules(this.profile.predictions);
+    }
+
+    startPrediction() {
+        const rules = this.getPredictionRules();
+
+        if (rules.length === 0) {
+            if (this.predictor) this.predictor.stop();
+            return;
+        }
+
+        if (!this.predictor) this.predictor = new WixNavigationPredictor();
+        this.predictor.start(rules, this.getPolicy());
+    }
+
+    // Stylesheets only block the initial page view
+    applyCriticalCss() {
+        if (!this.profile.criticalCss || this.navigation.type !== 'initial' || this.criticalCss) return;
+
+        this.criticalCss = new WixCriticalCss(this);
+        this.criticalCss.apply(WixCriticalCss.templateKey(this.profile.name), this.profile.criticalCss);
+    }
+
+    optimizeImages() {
+        if (!this.images) this.images = new WixImageOptimizer(this);
+        this.images.run(this.profile.images);
+    }
+
+    // Control arm, or disabled here by an earlier rollback
+    isPassive() {
+        return this.experiment.isControl() || !!this.disabledReason || this.config.disabled;
+    }
+
+    // Strategies
+
+    runControl() {
+        // Measure only: scripts load exactly as they would without the optimizer
+        this.monitorPerformance();
+    }
+
+    runAnnotate() {
+        // Add performance hints to existing scripts, boost each one when its
+        // trigger fires and report once most of them have loaded
+        this.enhanceExistingScripts();
+        this.armTriggers();
+        this.monitorPerformance();
+    }
+
+    runReorder() {
+        // Scripts already fetched stay where they are; the rest go through the tier pipeline
+        this.enhanceExistingScripts();
+        this.detachPendingScripts();
+        this.armTriggers();
+
+        return this.loadTiers();
+    }
+
+    runRemoveAndReinject() {
+        // Mark existing scripts that match our URLs so fresh copies replace them
+        this.removeExistingScripts();
+
+        // Remove or defer unused scripts to reduce main-thread work
+        this.handleUnusedScripts();
+
+        // Triggered scripts load on their own schedule, the rest tier by tier
+        this.armTriggers();
+
+        return this.loadTiers();
+    }
+
+    loadTiers() {
+        // Load critical scripts first with high priority, one task per script,
+        // then use requestIdleCallback for non-critical scripts
+        const navigationId = this.navigation.id;
+
+        return this.loadCriticalScriptsChunked().then(() => {
+            if (!this.isStale(navigationId)) this.scheduleNonCriticalLoading();
+        });
+    }
+
+    // Resource hints
+
+    addResourcePreloads() {
+        // Add preload hints for critical scripts without interfering with existing loading
+        this.scripts.critical.forEach(src => {
+            if (!this.hasExistingPreload(src)) {
+                const link = document.createElement('link');
+                link.rel = 'preload';
+                link.href = src;
+                link.as = 'script';
+                link.crossOrigin = 'anonymous';
+                link.setAttribute('fetchpriority', 'high');
+                link.setAttribute('data-wix-optimized', 'true');
+                document.head.appendChild(link);
+                this.identity.track(link, 'preload');
+                this.recordAction(link.href, 'preloaded');
+            }
+        });
+
+        // Add connection optimizations
+        this.addConnectionOptimizations();
+    }
+
+    hasExistingPreload(src) {
+        return this.identity.hasPreload(src);
+    }
+
+    addConnectionOptimizations() {
+        const optimizations = [
+            { rel: 'dns-prefetch', href: '//static.parastorage.com' },
+            { rel: 'preconnect', href: 'https://static.parastorage.com', crossOrigin: 'anonymous' },
+            ...this.profile.dnsPrefetch.map(host => ({ rel: 'dns-prefetch', href: `//${host}` }))
+        ];
+
+        optimizations.forEach(opt => {
+            const href = opt.href.replace(/["\\]/g, '\\$&');
+            const existing = document.querySelector(`link[rel="${opt.rel}"][href="${href}"]`);
+            if (!existing) {
+                const link = document.createElement('link');
+                link.rel = opt.rel;
+                link.href = opt.href;
+                if (opt.crossOrigin) link.crossOrigin = opt.crossOrigin;
+                link.setAttribute('data-wix-optimized', 'true');
+                document.head.appendChild(link);
+            }
+        });
+    }
+
+    // Annotating scripts in place
+
+    enhanceExistingScripts() {
+        // Add performance attributes to existing scripts without breaking them
+        this.identity.scan().forEach(instance => this.enhanceScript(instance.element));
+    }
+
+    enhanceScript(script) {
+        const src = script.getAttribute('src');
+        if (!src) return;
+
+        // Don't modify scripts that are already optimized or ran in an earlier page view
+        if (script.hasAttribute('data-wix-optimized') || this.earlierScripts.has(script)) return;
+
+        // Add fetchpriority to critical scripts
+        if (this.isCriticalScript(src)) {
+            this.annotate(script, 'fetchpriority', 'high');
+            this.annotate(script, 'data-wix-optimized', 'high-priority');
+            this.recordAction(script.src, 'high-priority');
+        }
+
+        // Add defer to deferrable scripts that aren't critical
+        else if (this.isDeferableScript(src)) {
+            if (!script.async && !script.defer) {
+                this.annotate(script, 'defer', '');
+                this.annotate(script, 'data-wix-optimized', 'deferred');
+                this.recordAction(script.src, 'deferred');
+            }
+        }
+
+        // Mark optional scripts with low priority
+        else if (this.isOptionalScript(src)) {
+            this.annotate(script, 'fetchpriority', 'low');
+            this.annotate(script, 'data-wix-optimized', 'low-priority');
+            this.recordAction(script.src, 'low-priority');
+        }
+    }
+
+    // Set an attribute on a page script, keeping its original value for restore()
+    annotate(script, name, value) {
+        const original = this.annotations.get(script) || {};
+        if (!(name in original)) original[name] = script.getAttribute(name);
+        this.annotations.set(script, original);
+
+        script.setAttribute(name, value);
+    }
+
+    isCriticalScript(src) {
+        return this.manifest.classify(src) === 'critical';
+    }
+
+    isDeferableScript(src) {
+        return this.manifest.classify(src) === 'deferred';
+    }
+
+    isOptionalScript(src) {
+        return this.manifest.classify(src) === 'optional';
+    }
+
+    // Triggers
+
+    // A rule's own trigger, or the tier default: optional scripts load when the
+    // browser is idle; in annotate mode deferred scripts get boosted after 5s.
+    // The capability policy may drop optional widgets or load early instead.
+    // Null means the tier pipeline loads the script
+    getTrigger(rule) {
+        const policy = this.getPolicy();
+        const type = rule.trigger ? rule.trigger.type : null;
+
+        if (policy.skipOptional && rule.tier === 'optional' && type !== 'interaction') return { type: 'never' };
+        if (policy.eager && type !== 'never' && (rule.trigger || rule.tier === 'optional')) return { type: 'idle', timeout: 1000 };
+
+        if (rule.trigger) return rule.trigger;
+        if (rule.tier === 'optional') return { type: 'idle', timeout: 7000 };
+        if (rule.tier === 'deferred' && this.profile.strategy === 'annotate') return { type: 'timeout', delay: 5000 };
+        return null;
+    }
+
+    armTriggers() {
+        if (this.triggers) this.triggers.disconnect();
+        this.triggers = new WixScriptTriggers({ timeScale: this.getPolicy().timeScale, threshold: this.config.visibleThreshold });
+
+        ['deferred', 'optional'].forEach(tier => {
+            this.getTierIds(tier).forEach(id => this.armTrigger(id));
+        });
+    }
+
+    armTrigger(id) {
+        if (!this.triggers) this.triggers = new WixScriptTriggers({ timeScale: this.getPolicy().timeScale, threshold: this.config.visibleThreshold });
+        if (this.triggers.isArmed(id)) return;
+
+        const trigger = this.getTrigger(this.manifest.getRule(id));
+        if (trigger) this.triggers.arm(id, trigger, () => this.loadTriggered(id));
+    }
+
+    // Resolves once the script has loaded and passed its ready check
+    loadTriggered(id) {
+        const node = this.scheduler.nodes.get(id);
+
+        if (this.profile.strategy === 'annotate') {
+            return this.boostScripts(node);
+        }
+
+        return this.scheduler.run([id]);
+    }
+
+    boostScripts(node) {
+        // Annotate mode leaves scripts in place, so raise their priority instead
+        const priority = node.tier === 'optional' ? 'auto' : 'high';
+
+        document.querySelectorAll('script[src]').forEach(script => {
+            if (!node.srcs.includes(script.src)) return;
+
+            this.annotate(script, 'fetchpriority', priority);
+            this.recordAction(script.src, 'boosted');
+        });
+
+        return this.scheduler.waitUntilReady(node.ready);
+    }
+
+    monitorPerformance() {
+        // Monitor script loading performance without interfering; scripts
+        // inserted later join the totals as they arrive
+        this.monitor.active = true;
+        document.querySelectorAll('script[src]').forEach(script => this.trackScript(script));
+
+        // Initial check in case scripts are already loaded
+        this.checkOptimizationProgress();
+    }
+
+    resetMonitor() {
+        this.monitor = { active: false, total: 0, loaded: 0, errors: 0, tracked: new WeakSet() };
+    }
+
+    // Count a script towards the monitor totals and record how it loads
+    trackScript(script) {
+        const monitor = this.monitor;
+        if (monitor.tracked.has(script)) return;
+
+        monitor.tracked.add(script);
+        if (script.type === WixWorkerProxy.SCRIPT_TYPE) return;
+        monitor.total++;
+
+        if (script.readyState === 'complete' || script.complete) {
+            monitor.loaded++;
+            return;
+        }
+
+        script.addEventListener('load', () => {
+            if (this.monitor !== monitor) return;
+            monitor.loaded++;
+            this.loadedScripts.add(script.src);
+            this.logScriptLoad(script.src, 'success');
+            if (monitor.active) this.checkOptimizationProgress();
+        }, { once: true, signal: this.lifecycle.signal });
+
+        script.addEventListener('error', () => {
+            if (this.monitor !== monitor) return;
+            monitor.errors++;
+            this.failedScripts.add(script.src);
+            this.logScriptLoad(script.src, 'error');
+            if (monitor.active) this.checkOptimizationProgress();
+        }, { once: true, signal: this.lifecycle.signal });
+    }
+
+    logScriptLoad(src, status) {
+        const scriptName = src.split('/').pop();
+        const emoji = status === 'success' ? '✅' : '❌';
+        console.log(`${emoji} ${scriptName} - ${status}`);
+    }
+
+    checkOptimizationProgress() {
+        const completedCount = this.monitor.loaded + this.monitor.errors;
+        const loadProgress = (completedCount / this.monitor.total) * 100;
+
+        // Consider optimization complete when most scripts (90% by default) are processed
+        if (loadProgress >= this.config.completionThreshold * 100 && !this.isLoaded) {
+            const navigationId = this.navigation.id;
+            this.setTimer(() => {
+                if (!this.isStale(navigationId)) this.onOptimizationComplete();
+            }, this.config.completionDelay);
+        }
+    }
+
+    // Taking scripts out of the page
+
+    removeExistingScripts() {
+        const allScripts = [...this.scripts.critical, ...this.scripts.deferred, ...this.scripts.optional];
+
+        this.identity.scan().forEach(instance => {
+            const script = instance.element;
+            if (instance.role !== 'original' || this.earlierScripts.has(script)) return;
+            if (!WixScriptIdentity.matchesAny(script.src, allScripts)) return;
+
+            if (this.identity.stateOf(instance) === 'failed') {
+                this.replaceScript(script);
+            } else {
+                // Already run or still loading: a fresh copy would run it a second
+                // time, so loadScript waits for this one instead
+                this.recordAction(script.src, 'reused');
+            }
+        });
+    }
+
+    replaceScript(script) {
+        // Mark for removal but don't remove immediately to avoid breaking dependencies
+        this.annotate(script, 'data-wix-optimized', 'replaced');
+        this.recordAction(script.src, 'replaced');
+    }
+
+    handleUnusedScripts() {
+        // Remove or defer scripts that are marked as unused
+        this.identity.scan().forEach(instance => {
+            const script = instance.element;
+            if (this.earlierScripts.has(script)) return;
+
+            if (WixScriptIdentity.matchesAny(script.src, this.scripts.optional)) {
+                // Defer loading of unused scripts
+                this.takeOutScript(script);
+                this.recordAction(script.src, 'removed');
+            }
+        });
+    }
+
+    detachPendingScripts() {
+        // Best effort: a script without a resource timing entry has not been fetched yet
+        const existingScripts = document.querySelectorAll('script[src]');
+
+        existingScripts.forEach(script => {
+            if (this.earlierScripts.has(script)) return;
+
+            const tier = this.manifest.classify(script.src);
+            if (tier !== 'deferred' && tier !== 'optional') return;
+
+            if (performance.getEntriesByName(script.src, 'resource').length === 0) {
+                this.takeOutScript(script);
+                this.recordAction(script.src, 'detached');
+            }
+        });
+    }
+
+    // Out of the page, remembering where it was for restore(). A script that
+    // was in the page has started and runs anyway: it stays tracked as the
+    // copy to wait for, so it is never injected a second time
+    takeOutScript(script) {
+        this.identity.track(script, 'original');
+        this.annotate(script, 'data-defer-load', 'true');
+        this.takenOut.push({ script: script, parent: script.parentNode, next: script.nextSibling });
+        script.remove();
+    }
+
+    // An inert tag replaced by a script that runs, for restore()
+    recordSwap(tag, script) {
+        this.swapped.push({ tag: tag, script: script });
+    }
+
+    // Late scripts
+
+    observeLateScripts() {
+        if (this.scriptObserver || !('MutationObserver' in window)) return;
+
+        this.scriptObserver = new MutationObserver(records => {
+            records.forEach(record => record.addedNodes.forEach(node => {
+                if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+                if (node.tagName === 'SCRIPT') {
+                    this.handleLateScript(node);
+                } else {
+                    node.querySelectorAll(`script[src], script[type="${WixWorkerProxy.SCRIPT_TYPE}"]`).forEach(script => this.handleLateScript(script));
+                }
+
+                // Galleries and post cards render their images late too
+                if (this.images && !this.isPassive() && !this.rolledBack) this.images.handleLateImages(node);
+            }));
+        });
+
+        [document.head, document.body].forEach(target => {
+            if (target) this.scriptObserver.observe(target, { childList: true, subtree: true });
+        });
+    }
+
+    stopObservingScripts() {
+        if (this.scriptObserver) {
+            this.scriptObserver.disconnect();
+            this.scriptObserver = null;
+        }
+    }
+
+    // Apply the same hints a script would have got had it been on the page at
+    // start. Mutation records arrive after insertion, when the browser has
+    // already started the script: it stays where it is (taking it out wouldn't
+    // stop it) and counts as its rule's copy, so the pipeline waits for it
+    handleLateScript(script) {
+        if (script.type === WixWorkerProxy.SCRIPT_TYPE) {
+            this.runWorkerScript(script);
+            return;
+        }
+
+        if (!script.src || script.hasAttribute('data-wix-optimized') || this.earlierScripts.has(script)) return;
+
+        this.identity.track(script, 'original');
+        this.trackScript(script);
+        if (this.rollbackGuard) this.rollbackGuard.remember(script);
+
+        const rule = this.manifest.match(script.src);
+        if (!rule || this.isPassive() || this.rolledBack) return;
+
+        if (WixThirdPartyGovernor.isGoverned(rule)) {
+            this.thirdParty.recordScript(script);
+            return;
+        }
+
+        this.recordAction(script.src, 'late');
+
+        const node = this.scheduler.nodes.get(rule.id);
+        if (!node.srcs.includes(script.src)) {
+            node.srcs.push(script.src);
+            this.scripts[rule.tier].push(script.src);
+        }
+
+        this.enhanceScript(script);
+
+        if (this.profile.strategy === 'annotate' && rule.tier !== 'critical') {
+            if (this.triggers && this.triggers.hasFired(rule.id)) {
+                this.boostScripts(node);
+            } else {
+                this.armTrigger(rule.id);
+            }
+        }
+    }
+
+    // Worker tier
+
+    getWorkerProxy() {
+        if (!this.workerProxy) {
+            this.workerProxy = new WixWorkerProxy({ bridge: this.hasAttribute('worker-bridge') });
+        }
+        return this.workerProxy;
+    }
+
+    runWorkerScripts() {
+        document.querySelectorAll(`script[type="${WixWorkerProxy.SCRIPT_TYPE}"]`).forEach(script => this.runWorkerScript(script));
+    }
+
+    // A type="text/wix-worker" tag: in the worker, or as a normal script when
+    // we only measure or the worker can't take it
+    runWorkerScript(script) {
+        if (this.workerScripts.has(script)) return;
+        this.workerScripts.add(script);
+
+        if (this.isPassive() || this.rolledBack) {
+            this.recordSwap(script, WixWorkerProxy.runOnMainThread(script));
+            return;
+        }
+
+        const src = script.src || null;
+        this.getWorkerProxy().run({ src: src, text: src ? null : script.text }).then(result => {
+            this.recordWorkerResult(src || 'inline script', result);
+            if (result.state === 'fallback' && script.isConnected) this.recordSwap(script, WixWorkerProxy.runOnMainThread(script));
+        });
+    }
+
+    // A released third-party tag whose manifest rule sets `worker`
+    loadInWorker(src) {
+        return this.getWorkerProxy().run({ src: src }).then(result => {
+            this.recordWorkerResult(src, result);
+            if (result.state === 'fallback') return this.loadScript(src, { priority: 'low', async: true });
+        });
+    }
+
+    recordWorkerResult(src, result) {
+        const name = src.split('/').pop();
+
+        if (result.state === 'done') {
+            console.log(`🧵 ${name} runs in a worker`);
+        } else if (result.state === 'fallback') {
+            console.warn(`⚠️ ${name} falls back to the main thread: ${result.reason}`);
+        } else {
+            console.warn(`⚠️ ${name} failed in the worker and won't run again: ${result.reason}`);
+        }
+
+        const actions = { done: 'worker', fallback: 'worker-fallback', failed: 'worker-failed' };
+        if (src !== 'inline script') this.recordAction(src, actions[result.state]);
+    }
+
+    // Tier pipeline
+
+    loadCriticalScriptsChunked() {
+        // Critical scripts in dependency order, independent ones in parallel,
+        // each inserted in a user-blocking task of its own
+        return this.scheduler.run(this.getTierIds('critical'));
+    }
+
+    scheduleNonCriticalLoading() {
+        // Use requestIdleCallback for better performance with longer timeout
+        this.scheduleIdle(() => this.loadNonCriticalScripts(), this.config.idleTimeout, this.config.idleFallback);
+    }
+
+    async loadNonCriticalScripts() {
+        // Deferred scripts wait for whatever they declare in `dependsOn`;
+        // triggered ones (and optional scripts) wait for their trigger
+        const navigationId = this.navigation.id;
+        const ids = this.getTierIds('deferred').filter(id => !this.getTrigger(this.manifest.getRule(id)));
+        await this.scheduler.run(ids);
+
+        if (!this.isStale(navigationId)) this.onOptimizationComplete();
+    }
+
+    loadScript(src, options = {}) {
+        // Nothing new goes in once we have rolled back or disconnected
+        if (this.rolledBack || this.isTornDown()) return Promise.resolve();
+
+        // Any copy of the same script that has run or is still loading (the
+        // page's, or one injected earlier) is waited for rather than run again;
+        // one that failed, or was out of the page and never loaded, is replaced
+        const existing = this.identity.find(src);
+        if (!existing) return this.injectScript(src, options);
+
+        return this.identity.settled(existing, this.lifecycle.signal).then(state => {
+            if (state !== 'failed' && state !== 'lost') return;
+
+            if (state === 'failed' && existing.role === 'original' && existing.element.getAttribute('data-wix-optimized') !== 'replaced') {
+                this.replaceScript(existing.element);
+            }
+            return this.loadScript(src, options);
+        });
+    }
+
+    injectScript(src, options) {
+        return new Promise((resolve) => {
+            if (this.rolledBack || this.isTornDown()) {
+                resolve();
+                return;
+            }
+
+            const script = document.createElement('script');
+            script.src = src;
+            script.crossOrigin = 'anonymous';
+            script.setAttribute('data-wix-optimized', 'injected');
+
+            // Apply performance optimizations
+            if (options.defer) script.defer = true;
+            if (options.async) script.async = true;
+
+            // Set resource hints for better loading
+            if (options.priority) {
+                script.setAttribute('fetchpriority', options.priority);
+            }
+
+            script.onload = () => {
+                console.log(`✅ ${this.profile.label} optimized loading: ${src.split('/').pop()}`);
+                this.loadedScripts.add(src);
+                resolve();
+            };
+
+            script.onerror = (error) => {
+                console.warn(`⚠️ ${this.profile.label} - Failed to load: ${src.split('/').pop()}`, error);
+                this.failedScripts.add(src);
+                resolve(); // Continue even if one script fails
+            };
+
+            // Append to head for better caching
+            document.head.appendChild(script);
+            this.identity.track(script, 'injected');
+            this.recordAction(script.src, 'injected');
+        });
+    }
+
+    // Helpers
+
+    // Both waits follow the capability policy
+    scheduleIdle(callback, timeout, fallbackDelay) {
+        if (this.isTornDown()) return;
+
+        if ('requestIdleCallback' in window) {
+            const handle = requestIdleCallback(callback, { timeout: this.scaleTime(timeout) });
+            this.lifecycle.signal.addEventListener('abort', () => cancelIdleCallback(handle), { once: true });
+        } else {
+            // Fallback for browsers without requestIdleCallback
+            this.setTimer(callback, this.scaleTime(fallbackDelay));
+        }
+    }
+
+    // setTimeout that ends with the connection
+    setTimer(callback, delay) {
+        if (this.isTornDown()) return;
+
+        const timer = setTimeout(callback, delay);
+        this.lifecycle.signal.addEventListener('abort', () => clearTimeout(timer), { once: true });
+    }
+
+    // Completion
+
+    onOptimizationComplete() {
+        if (this.isLoaded) return; // Prevent multiple calls
+
+        this.isLoaded = true;
+        const stats = this.getOptimizationStats();
+
+        // Dispatch custom event for other scripts to listen
+        const detail = this.buildCompletionDetail(stats);
+        document.dispatchEvent(new CustomEvent(this.profile.completeEvent, { detail: detail }));
+
+        if (this.reporter) {
+            this.reporter.add('complete', detail);
+        }
+
+        // Clean up old scripts replaced by fresh copies
+        if (this.profile.strategy === 'remove-and-reinject') {
+            this.setTimer(() => {
+                const oldScripts = document.querySelectorAll('script[data-wix-optimized="replaced"]');
+                oldScripts.forEach(script => this.takeOutScript(script));
+            }, 3000);
+        }
+
+        // First visit of this template: cache its critical CSS once the page has settled
+        if (this.criticalCss && this.criticalCss.state === 'capture' && !this.rolledBack) {
+            this.scheduleIdle(() => this.criticalCss.capture().catch(error => {
+                // Stopped halfway by a teardown
+                if (error.name !== 'AbortError') console.warn('⚠️ Critical CSS capture failed:', error);
+            }), 5000, 2000);
+        }
+
+        // Cache hit ratio of this page view, for the stats
+        if (this.serviceWorker) {
+            this.serviceWorker.refresh();
+        }
+
+        // Keep an eye out for breakage a little longer, then stand down
+        if (this.rollbackGuard) {
+            this.rollbackGuard.settle();
+        }
+
+        // Performance monitoring
+        this.logPerformanceMetrics();
+
+        console.log(`⚡ Wix ${this.profile.label} Optimization Complete!`);
+        console.log(`📊 Stats: ${stats.optimizedScripts}/${stats.totalScripts} scripts optimized`);
+        console.log(`⏱️ Optimization time: ${stats.optimizationTime.toFixed(2)}ms`);
+        console.log(`📈 Success rate: ${stats.successRate.toFixed(1)}%`);
+
+        if (this.failedScripts.size > 0) {
+            console.warn('⚠️ Scripts with loading issues:', Array.from(this.failedScripts));
+        }
+    }
+
+    buildCompletionDetail(stats) {
+        return {
+            profile: stats.profile,
+            strategy: stats.strategy,
+            arm: stats.arm,
+            experiment: stats.experiment,
+            optimizationTime: stats.optimizationTime,
+            totalScripts: stats.totalScripts,
+            optimizedScripts: stats.optimizedScripts,
+            failedScripts: stats.failedScripts,
+            successRate: stats.successRate,
+            vitals: stats.vitals,
+            navigation: stats.navigation,
+            pageUrl: window.location.href
+        };
+    }
+
+    logPerformanceMetrics() {
+        // Log measured vitals next to the navigation timings
+        if ('performance' in window) {
+            const navigation = performance.getEntriesByType('navigation')[0];
+            const vitals = this.vitals.getVitals();
+
+            console.log(`📊 ${this.profile.label} Performance Metrics:`, {
+                domContentLoaded: navigation ? Math.round(navigation.domContentLoadedEventEnd) : null,
+                loadComplete: navigation ? Math.round(navigation.loadEventEnd) : null,
+                fcp: vitals.fcp,
+                lcp: vitals.lcp,
+                cls: vitals.cls,
+                inp: vitals.inp,
+                tbt: vitals.tbt
+            });
+        }
+    }
+
+    // Public methods for external use
+
+    isOptimizationComplete() {
+        return this.isLoaded;
+    }
+
+    // The numbers each report batch ends with. Kept small for the beacon: the
+    // full picture is getOptimizationStats()
+    getReportSnapshot() {
+        const vitals = this.vitals.getVitals(this.scriptActions);
+
+        return {
+            profile: this.profile ? this.profile.name : null,
+            strategy: this.profile ? this.profile.strategy : null,
+            arm: this.experiment ? this.experiment.arm : null,
+            navigation: this.navigation.type,
+            isComplete: this.isLoaded,
+            optimizationTime: performance.now() - this.optimizationStartTime,
+            failedScripts: Array.from(this.failedScripts).slice(0, 20),
+            rollback: this.rolledBack ? this.rolledBack.type : null,
+            vitals: {
+                fcp: vitals.fcp,
+                lcp: vitals.lcp,
+                lcpElement: vitals.lcpElement,
+                cls: vitals.cls,
+                inp: vitals.inp,
+                tbt: vitals.tbt,
+                longTasks: vitals.longTasks
+            }
+        };
+    }
+
+    getOptimizationStats() {
+        const totalScripts = document.querySelectorAll('script[src]').length;
+        const optimizedScripts = document.querySelectorAll('script[data-wix-optimized]').length;
+
+        return {
+            profile: this.profile ? this.profile.name : null,
+            strategy: this.profile ? this.profile.strategy : null,
+            arm: this.experiment ? this.experiment.arm : null,
+            experiment: this.experiment ? this.experiment.toJSON() : null,
+            navigation: Object.assign({}, this.navigation),
+            isComplete: this.isLoaded,
+            optimizationTime: performance.now() - this.optimizationStartTime,
+            totalScripts: totalScripts,
+            optimizedScripts: optimizedScripts,
+            failedScripts: Array.from(this.failedScripts),
+            loadedScripts: Array.from(this.loadedScripts),
+            schedule: this.scheduler ? this.scheduler.getTimeline() : [],
+            scheduleIssues: this.scheduler ? this.scheduler.issues.slice() : [],
+            triggers: this.triggers ? this.triggers.getFired() : [],
+            tasks: this.tasks.getStats(),
+            capability: this.capability ? {
+                tier: this.capability.tier,
+                reasons: this.capability.reasons.slice(),
+                signals: Object.assign({}, this.capability.signals)
+            } : null,
+            thirdParty: this.thirdParty.getStats(),
+            worker: this.workerProxy ? this.workerProxy.getStats() : null,
+            serviceWorker: this.serviceWorker ? this.serviceWorker.getStats() : null,
+            prediction: this.predictor ? this.predictor.getStats() : null,
+            images: this.images ? this.images.getStats() : null,
+            fonts: this.fonts.getStats(),
+            criticalCss: this.criticalCss ? this.criticalCss.getStats() : null,
+            identity: this.identity.getStats(),
+            lateScripts: Array.from(this.scriptActions.values()).filter(record => record.actions.includes('late')).length,
+            vitals: this.vitals.getVitals(this.scriptActions),
+            rollback: this.rolledBack,
+            disabledReason: this.disabledReason,
+            successRate: totalScripts ? ((totalScripts - this.failedScripts.size) / totalScripts) * 100 : 100
+        };
+    }
+
+    // Consent from the site's own banner: { functional, analytics, advertising }
+    setConsent(policy) {
+        this.thirdParty.setConsent(policy, 'page');
+    }
+
+    // Run page code between the optimizer's own tasks:
+    //     element.postTask(() => renderComments(), { priority: 'background' })
+    postTask(callback, options) {
+        return this.tasks.postTask(callback, options);
+    }
+
+    // Give input and rendering a turn: await element.yield('user-visible')
+    yield(priority) {
+        return this.tasks.yield(priority);
+    }
+
+    // Method to manually trigger script loading if needed
+    forceLoadScript(scriptUrl) {
+        return this.loadScript(scriptUrl, { priority: 'high' });
+    }
+
+    // Method to load optional scripts manually by manifest id, e.g. 'forms'
+    loadOptionalScript(scriptType) {
+        // Dependencies load first, e.g. React for the blog viewer
+        if (this.getTierIds('optional').includes(scriptType)) {
+            if (this.triggers) this.triggers.disarm(scriptType);
+            return this.scheduler.run([scriptType]);
+        }
+    }
+
+    // Manual optimization trigger
+    reoptimize() {
+        if (!this.isLoaded || this.experiment.isControl()) return;
+
+        console.log(`🔄 Re-optimizing ${this.profile.label} scripts...`);
+        this.loadManifest();
+        this.enhanceExistingScripts();
+
+        if (this.profile.strategy === 'annotate') {
+            this.armTriggers();
+        }
+    }
+
+    // Undo the optimization: put back the scripts we took out, drop our hints,
+    // keep the optimizer off for this URL and tell the page why
+    rollback(cause = { type: 'manual' }) {
+        if (this.rolledBack) return;
+
+        this.rolledBack = cause;
+        console.warn(`⏪ Rolling back Wix ${this.profile.label} Optimization:`, cause);
+
+        if (this.rollbackGuard) {
+            this.rollbackGuard.stop();
+        }
+
+        if (this.triggers) {
+            this.triggers.disconnect();
+        }
+
+        if (this.predictor) {
+            this.predictor.stop();
+        }
+
+        // Stylesheets back to their own media before the inlined CSS goes
+        if (this.criticalCss) {
+            this.criticalCss.restoreAll();
+        }
+
+        this.stopObservingScripts();
+
+        const restoredScripts = this.rollbackGuard ? this.rollbackGuard.restoreScripts() : [];
+        this.cleanup();
+        // Turned off by configuration, not broken: nothing to remember
+        if (cause.type !== 'disabled') WixRollbackGuard.disable(cause);
+
+        const detail = {
+            cause: cause,
+            profile: this.profile.name,
+            arm: this.experiment ? this.experiment.arm : null,
+            restoredScripts: restoredScripts,
+            pageUrl: window.location.href
+        };
+        document.dispatchEvent(new CustomEvent('wix-optimizer-rollback', { detail: detail }));
+
+        if (this.reporter) {
+            this.reporter.add('rollback', detail);
+        }
+    }
+
+    // Return the page's scripts to where they were before the optimizer
+    // touched them, and stop (see teardown()): scripts taken out go back in
+    // place, copies and hints it added are removed and attributes it changed
+    // are reset. A script element that has started never runs again when put
+    // back, so nothing executes twice; what already ran stays run
+    restore() {
+        this.teardown();
+
+        this.takenOut.slice().reverse().forEach(({ script, parent, next }) => {
+            if (!parent || !parent.isConnected || script.isConnected) return;
+            parent.insertBefore(script, next && next.parentNode === parent ? next : null);
+        });
+        this.takenOut = [];
+
+        this.swapped.slice().reverse().forEach(({ tag, script }) => {
+            if (script.isConnected && !tag.isConnected) script.replaceWith(tag);
+        });
+        this.swapped = [];
+
+        document.querySelectorAll(['injected', 'restored', 'released', 'worker-fallback']
+            .map(state => `script[data-wix-optimized="${state}"]`).join(', ')).forEach(script => script.remove());
+
+        this.annotations.forEach((original, script) => {
+            Object.keys(original).forEach(name => {
+                if (original[name] === null) {
+                    script.removeAttribute(name);
+                } else {
+                    script.setAttribute(name, original[name]);
+                }
+            });
+        });
+        this.annotations = new Map();
+
+        this.cleanup();
+        console.log(`↩️ ${this.profile ? this.profile.label : 'Wix'} page scripts restored`);
+    }
+
+    // Cleanup method
+    cleanup() {
+        // Remove only our optimization hints, not original scripts
+        const optimizedElements = document.querySelectorAll('[data-wix-optimized="true"]');
+        optimizedElements.forEach(el => el.remove());
+
+        console.log('🧹 Optimization cleanup complete');
+    }
+
+    // Create the optimizer the current page's profile asks for, once per page
+    // and never next to an optimizer that is already there
+    static autoInit() {
+        if (WixOptimizerElement.autoInitScheduled) return;
+        WixOptimizerElement.autoInitScheduled = true;
+
+        const init = () => {
+            const selector = WixOptimizerProfiles.elementSelector;
+            if (!selector || document.querySelector(selector)) return;
+
+            const profile = WixOptimizerProfiles.resolve(window.location);
+            if (!profile || !customElements.get(profile.element)) return;
+
+            // No `profile` attribute, so the element re-resolves it after navigations
+            document.body.appendChild(document.createElement(profile.element));
+        };
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', init);
+        } else {
+            init();
+        }
+
+        // A page without an optimizer may navigate to one that needs it
+        WixNavigationWatcher.install();
+        window.addEventListener(WixNavigationWatcher.EVENT, init);
+    }
+}
+
+WixOptimizerElement.autoInitScheduled = false;
+
+// The connected element optimizing this page, see connectedCallback()
+WixOptimizerElement.active = null;
+
+// Export for external use
+window.WixOptimizerProfiles = WixOptimizerProfiles;
+window.WixOptimizerElement = WixOptimizerElement;
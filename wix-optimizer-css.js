@@ -0,0 +1,335 @@
+// Critical CSS for the Wix optimizer elements.
+//
+// Blog lists and product pages ship large render-blocking stylesheets (the
+// `NoCss` widget bundles get theirs separately). On the first visit of a
+// template (profile and mobile/desktop viewport), once the page has settled,
+// the rules of every readable stylesheet that apply to elements in the first
+// viewport are collected (including @media and @supports blocks that match and
+// @font-face rules) and cached in localStorage.
+//
+// On later visits that CSS is inlined ahead of every other stylesheet, and the
+// cached stylesheets that haven't loaded yet are switched to `media="print"`, so
+// they no longer block rendering, and back to their own media once loaded.
+// Until a second after the last one is back, layout shifts are added up: past
+// `threshold` every stylesheet is restored at once and the template's critical
+// CSS is dropped in favour of a marker that keeps it off for a week.
+//
+// Only the initial page view of a document is handled; client-side navigations
+// don't block on stylesheets.
+class WixCriticalCss {
+    constructor(host) {
+        this.host = host;
+        this.config = { threshold: 0.1, maxBytes: 50000 };
+
+        this.key = null;
+        this.state = null;
+        this.style = null;
+        this.sheets = new Set();
+        this.pending = new Map();
+        this.counts = { deferred: 0, restored: 0, unreadable: 0, checked: 0 };
+        this.bytes = 0;
+        this.shift = 0;
+
+        this.shiftObserver = null;
+        this.linkObserver = null;
+        this.settleTimer = null;
+        this.onWindowLoad = () => this.stopWatchingLinks();
+    }
+
+    static get STORAGE_PREFIX() {
+        return 'wix-optimizer-critical-css:';
+    }
+
+    static get MAX_AGE() {
+        return 7 * 24 * 60 * 60 * 1000;
+    }
+
+    // Layout shifts still count this long after the last stylesheet is back
+    static get SETTLE_TIME() {
+        return 1000;
+    }
+
+    static templateKey(profileName) {
+        const viewport = window.innerWidth < 768 ? 'mobile' : 'desktop';
+        return `${WixCriticalCss.STORAGE_PREFIX}${profileName}:${viewport}`;
+    }
+
+    static read(key) {
+        try {
+            const entry = JSON.parse(localStorage.getItem(key) || 'null');
+            if (!entry || typeof entry !== 'object' || Date.now() - entry.time > WixCriticalCss.MAX_AGE) return null;
+            return entry;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    static write(key, entry) {
+        try {
+            localStorage.setItem(key, JSON.stringify(entry));
+            return true;
+        } catch (error) {
+            // Storage full or disabled - try again on the next visit
+            return false;
+        }
+    }
+
+    // Relative url()s would resolve against the page once inlined
+    static absolutize(cssText, base) {
+        return cssText.replace(/url\(\s*(["']?)([^"')]+)\1\s*\)/g, (match, quote, url) => {
+            if (/^(data|blob|https?):|^#/i.test(url)) return match;
+
+            try {
+                return `url("${new URL(url, base).href}")`;
+            } catch (error) {
+                return match;
+            }
+        });
+    }
+
+    // The selector without pseudo-elements and state pseudo-classes, which
+    // querySelectorAll can't match ahead of time
+    static matchable(selectorText) {
+        return selectorText
+            .split(',')
+            .map(selector => selector
+                .replace(/::?(before|after|first-line|first-letter|placeholder|selection|marker|backdrop|-webkit-[\w-]+|-moz-[\w-]+)/gi, '')
+                .replace(/:(hover|focus|focus-within|focus-visible|active|visited|link)\b/gi, '')
+                .trim() || '*')
+            .join(', ');
+    }
+
+    static isAboveFold(element) {
+        const rect = element.getBoundingClientRect();
+        return rect.top < window.innerHeight && rect.bottom >= 0;
+    }
+
+    // Inline the cached CSS and take the stylesheets out of the critical path
+    apply(key, config = {}) {
+        this.key = key;
+        this.config = Object.assign({ threshold: 0.1, maxBytes: 50000 }, config);
+
+        const entry = WixCriticalCss.read(key);
+        if (!entry) {
+            this.state = 'capture';
+            return;
+        }
+
+        if (entry.failed) {
+            this.state = 'disabled';
+            console.log('⏸️ Critical CSS off for this template after a layout shift fallback');
+            return;
+        }
+
+        this.state = 'applied';
+        this.bytes = entry.css.length;
+        this.sheets = new Set(entry.sheets);
+
+        this.style = document.createElement('style');
+        this.style.textContent = entry.css;
+        this.style.setAttribute('data-wix-optimized', 'true');
+        this.style.setAttribute('data-wix-critical-css', '');
+
+        // Ahead of every stylesheet, so the full ones still win
+        const first = document.head.querySelector('link[rel="stylesheet"], style');
+        document.head.insertBefore(this.style, first);
+
+        this.watchShifts();
+        document.querySelectorAll('link[rel="stylesheet"]').forEach(link => this.defer(link));
+        this.watchLinks();
+
+        console.log(`🎨 Critical CSS inlined (${this.bytes} bytes), ${this.pending.size} stylesheets deferred`);
+        if (this.pending.size === 0) this.settle();
+    }
+
+    defer(link) {
+        if (this.state !== 'applied' || !this.sheets.has(link.href) || link.sheet || this.pending.has(link)) return;
+
+        this.pending.set(link, link.getAttribute('media'));
+        link.media = 'print';
+        this.counts.deferred++;
+
+        const done = () => {
+            link.removeEventListener('load', done);
+            link.removeEventListener('error', done);
+            this.restore(link);
+            if (this.pending.size === 0) this.settle();
+        };
+        link.addEventListener('load', done);
+        link.addEventListener('error', done);
+    }
+
+    restore(link) {
+        if (!this.pending.has(link)) return;
+
+        const media = this.pending.get(link);
+        if (media === null) {
+            link.removeAttribute('media');
+        } else {
+            link.media = media;
+        }
+
+        this.pending.delete(link);
+        this.counts.restored++;
+    }
+
+    // Stylesheets parsed after the element connected
+    watchLinks() {
+        if (!('MutationObserver' in window) || document.readyState === 'complete') return;
+
+        this.linkObserver = new MutationObserver(records => records.forEach(record => record.addedNodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE && node.tagName === 'LINK' && node.rel === 'stylesheet') this.defer(node);
+        })));
+        this.linkObserver.observe(document.documentElement, { childList: true, subtree: true });
+        window.addEventListener('load', this.onWindowLoad);
+    }
+
+    stopWatchingLinks() {
+        if (this.linkObserver) this.linkObserver.disconnect();
+        this.linkObserver = null;
+        window.removeEventListener('load', this.onWindowLoad);
+    }
+
+    watchShifts() {
+        if (!('PerformanceObserver' in window)) return;
+
+        this.shiftObserver = new PerformanceObserver(list => list.getEntries().forEach(entry => {
+            if (entry.hadRecentInput) return;
+
+            this.shift += entry.value;
+            if (this.shift > this.config.threshold && this.state === 'applied') this.fallback();
+        }));
+
+        try {
+            this.shiftObserver.observe({ type: 'layout-shift' });
+        } catch (error) {
+            this.shiftObserver = null;
+        }
+    }
+
+    // Every stylesheet is back: the inlined copy is redundant, and shifts stop
+    // counting a little later
+    settle() {
+        clearTimeout(this.settleTimer);
+        this.settleTimer = setTimeout(() => {
+            if (this.style) this.style.remove();
+            this.style = null;
+            this.stopWatchingShifts();
+        }, WixCriticalCss.SETTLE_TIME);
+    }
+
+    stopWatchingShifts() {
+        if (this.shiftObserver) this.shiftObserver.disconnect();
+        this.shiftObserver = null;
+    }
+
+    // Too much shifting: load everything as the page would have, and keep the
+    // critical CSS of this template off for a while
+    fallback() {
+        console.warn(`⏪ Critical CSS fell back: layout shift ${this.shift.toFixed(3)} over ${this.config.threshold}`);
+
+        this.state = 'fallback';
+        this.restoreAll();
+        WixCriticalCss.write(this.key, { failed: true, time: Date.now() });
+    }
+
+    restoreAll() {
+        Array.from(this.pending.keys()).forEach(link => this.restore(link));
+        this.stopWatchingLinks();
+        this.stopWatchingShifts();
+        clearTimeout(this.settleTimer);
+    }
+
+    // Once the page has settled at the top: collect and cache this template's
+    // critical CSS, yielding to the main thread as it goes
+    async capture() {
+        if (this.state !== 'capture' || window.scrollY > 0) return;
+        this.state = 'capturing';
+
+        const sheets = [];
+        const parts = [];
+
+        for (const link of Array.from(document.querySelectorAll('link[rel="stylesheet"]'))) {
+            if (!link.sheet || link.media === 'print') continue;
+
+            let rules;
+            try {
+                rules = link.sheet.cssRules;
+            } catch (error) {
+                // Cross-origin without CORS: it stays render-blocking
+                this.counts.unreadable++;
+                continue;
+            }
+
+            sheets.push(link.href);
+            parts.push(await this.criticalRules(rules, link.href));
+        }
+
+        const css = parts.join('');
+        this.bytes = css.length;
+
+        if (sheets.length === 0 || !css) {
+            this.state = null;
+            return;
+        }
+
+        if (css.length > this.config.maxBytes) {
+            console.warn(`⚠️ Critical CSS is ${css.length} bytes, over the ${this.config.maxBytes} byte budget, not cached`);
+            this.state = null;
+            return;
+        }
+
+        this.state = WixCriticalCss.write(this.key, { sheets: sheets, css: css, time: Date.now() }) ? 'captured' : null;
+        if (this.state) console.log(`🎨 Critical CSS captured: ${css.length} bytes from ${sheets.length} stylesheets`);
+    }
+
+    async criticalRules(rules, base) {
+        const out = [];
+
+        for (const rule of Array.from(rules)) {
+            if (++this.counts.checked % 100 === 0) await this.host.yield('background');
+
+            if (rule.type === CSSRule.STYLE_RULE) {
+                if (this.matchesAboveFold(rule.selectorText)) out.push(WixCriticalCss.absolutize(rule.cssText, base));
+            } else if (rule.type === CSSRule.FONT_FACE_RULE) {
+                out.push(WixCriticalCss.absolutize(rule.cssText, base));
+            } else if (rule.type === CSSRule.MEDIA_RULE) {
+                if (!window.matchMedia(rule.media.mediaText).matches) continue;
+
+                const inner = await this.criticalRules(rule.cssRules, base);
+                if (inner) out.push(`@media ${rule.media.mediaText}{${inner}}`);
+            } else if (rule.type === CSSRule.SUPPORTS_RULE) {
+                if (!CSS.supports(rule.conditionText)) continue;
+
+                const inner = await this.criticalRules(rule.cssRules, base);
+                if (inner) out.push(`@supports ${rule.conditionText}{${inner}}`);
+            }
+        }
+
+        return out.join('');
+    }
+
+    matchesAboveFold(selectorText) {
+        try {
+            return Array.from(document.querySelectorAll(WixCriticalCss.matchable(selectorText))).some(WixCriticalCss.isAboveFold);
+        } catch (error) {
+            // Selectors this browser can't query
+            return false;
+        }
+    }
+
+    getStats() {
+        return {
+            template: this.key ? this.key.slice(WixCriticalCss.STORAGE_PREFIX.length) : null,
+            state: this.state,
+            bytes: this.bytes,
+            deferred: this.counts.deferred,
+            restored: this.counts.restored,
+            unreadable: this.counts.unreadable,
+            shift: Math.round(this.shift * 10000) / 10000
+        };
+    }
+}
+
+// Export for external use
+window.WixCriticalCss = WixCriticalCss;
@@ -0,0 +1,107 @@
+// A/B control mode for the Wix optimizer elements.
+//
+// A stable visitor id is hashed (FNV-1a, salted with the experiment name) into
+// one of 10000 buckets; the first `controlPercent` percent of buckets form the
+// "control" arm, where the element only measures and changes nothing on the
+// page. Everyone else is in the "treatment" arm. QA can force an arm with the
+// `wix-optimizer-arm` query parameter or localStorage key.
+class WixOptimizerExperiment {
+    static get ARMS() {
+        return ['control', 'treatment'];
+    }
+
+    static get OVERRIDE_KEY() {
+        return 'wix-optimizer-arm';
+    }
+
+    static get VISITOR_KEY() {
+        return 'wix-optimizer-visitor-id';
+    }
+
+    constructor(options = {}) {
+        this.name = options.name || 'wix-optimizer';
+        this.controlPercent = WixOptimizerExperiment.clampPercent(options.controlPercent);
+        this.visitorId = options.visitorId || WixOptimizerExperiment.getVisitorId();
+
+        this.overridden = false;
+        this.arm = this.assign();
+    }
+
+    static clampPercent(percent) {
+        const value = parseFloat(percent);
+        if (isNaN(value)) return 0;
+        return Math.min(100, Math.max(0, value));
+    }
+
+    assign() {
+        const override = WixOptimizerExperiment.getOverride();
+        if (override) {
+            this.overridden = true;
+            console.log(`🧪 Optimizer arm forced to "${override}"`);
+            return override;
+        }
+
+        const bucket = WixOptimizerExperiment.hash(`${this.name}:${this.visitorId}`) % 10000;
+        return bucket < this.controlPercent * 100 ? 'control' : 'treatment';
+    }
+
+    isControl() {
+        return this.arm === 'control';
+    }
+
+    // Tag attached to stats, events and reports
+    toJSON() {
+        return {
+            name: this.name,
+            arm: this.arm,
+            controlPercent: this.controlPercent,
+            overridden: this.overridden
+        };
+    }
+
+    // Query parameter first (one page view), then localStorage (sticky)
+    static getOverride() {
+        const fromQuery = new URLSearchParams(window.location.search).get(WixOptimizerExperiment.OVERRIDE_KEY);
+        if (WixOptimizerExperiment.ARMS.includes(fromQuery)) return fromQuery;
+
+        try {
+            const fromStorage = localStorage.getItem(WixOptimizerExperiment.OVERRIDE_KEY);
+            if (WixOptimizerExperiment.ARMS.includes(fromStorage)) return fromStorage;
+        } catch (error) {
+            // Storage disabled - no sticky override
+        }
+
+        return null;
+    }
+
+    // Persisted random id; without storage every page view gets a fresh one
+    static getVisitorId() {
+        const generated = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+        try {
+            const stored = localStorage.getItem(WixOptimizerExperiment.VISITOR_KEY);
+            if (stored) return stored;
+
+            localStorage.setItem(WixOptimizerExperiment.VISITOR_KEY, generated);
+        } catch (error) {
+            // Storage disabled
+        }
+
+        return generated;
+    }
+
+    // 32-bit FNV-1a
+    static hash(value) {
+        let hash = 0x811c9dc5;
+
+        for (let i = 0; i < value.length; i++) {
+            hash ^= value.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return hash >>> 0;
+    }
+}
+
+// Export for external use
+window.WixOptimizerExperiment = WixOptimizerExperiment;
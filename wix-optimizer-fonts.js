@@ -0,0 +1,369 @@
+// Web font optimization for the Wix optimizer elements.
+//
+// Wix sites load their fonts from @font-face rules in stylesheets on
+// static.parastorage.com (the built-in fonts) and static.wixstatic.com
+// (uploaded ones). Text set in a font that is still loading is invisible for
+// up to 3 seconds (FOIT), then drawn in a fallback until the font arrives
+// (FOUT), and the swap can shift the layout. Per page view:
+//
+// - @font-face rules are collected from every readable stylesheet, including
+//   imported ones and ones inside @media and @supports
+// - the fonts of text in the first viewport are preloaded (woff2 first, at most
+//   `fonts.maxPreload`) when the browser hasn't requested them yet
+// - font faces that haven't started loading get a `font-display` policy:
+//   `fonts.aboveFold` (swap) for the families in the first viewport,
+//   `fonts.belowFold` (swap) for the rest; `optional` there keeps late fonts
+//   out entirely, at the cost of showing the fallback for the page view
+// - the origins of font files and cross-origin font stylesheets are
+//   preconnected, with `crossorigin` as fonts need
+//
+// Load times, estimated FOIT/FOUT and the layout shift right after a font
+// arrived are measured on every arm, so control pages report them too.
+class WixFontOptimizer {
+    constructor() {
+        this.config = {};
+
+        this.faces = [];
+        this.unreadable = [];
+        this.preloaded = [];
+        this.preconnected = [];
+        this.displayChanged = 0;
+
+        // family -> font-display in effect, for the FOIT/FOUT estimates
+        this.display = new Map();
+
+        this.loads = new Map();
+        this.shifts = [];
+        this.observer = null;
+    }
+
+    static get HOSTS() {
+        return ['static.parastorage.com', 'static.wixstatic.com'];
+    }
+
+    // How long text stays invisible, and how late a font may still swap in,
+    // per font-display value
+    static get BLOCK_PERIOD() {
+        return { auto: 3000, block: 3000, swap: 100, fallback: 100, optional: 100 };
+    }
+
+    static get SWAP_PERIOD() {
+        return { auto: Infinity, block: Infinity, swap: Infinity, fallback: 3000, optional: 0 };
+    }
+
+    // A shift this soon after a font arrived is put down to the swap
+    static get SHIFT_WINDOW() {
+        return 300;
+    }
+
+    static isFontUrl(url) {
+        return /\.(woff2?|ttf|otf|eot)(\?|#|$)/i.test(url);
+    }
+
+    static isWixHost(url) {
+        try {
+            return WixFontOptimizer.HOSTS.includes(new URL(url, window.location.href).hostname);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    static unquote(value) {
+        return value.trim().replace(/^["']|["']$/g, '').toLowerCase();
+    }
+
+    // 'url("a.woff2") format("woff2"), url(b.woff)' -> absolute URLs, woff2 first
+    static parseSources(src, base) {
+        const sources = [];
+        const pattern = /url\(\s*(["']?)([^"')]+)\1\s*\)(?:\s*format\(\s*["']?([^"')]+)["']?\s*\))?/g;
+        let match;
+
+        while ((match = pattern.exec(src)) !== null) {
+            try {
+                sources.push({ url: new URL(match[2], base).href, format: match[3] || null });
+            } catch (error) {
+                // Not a URL we can preload
+            }
+        }
+
+        const woff2 = source => source.format === 'woff2' || /\.woff2(\?|#|$)/i.test(source.url);
+        return sources.sort((a, b) => woff2(b) - woff2(a)).map(source => source.url);
+    }
+
+    // '400', 'bold', '100 900' -> [min, max]
+    static weightRange(weight) {
+        const keywords = { normal: 400, bold: 700 };
+        const values = String(weight || 'normal').split(/\s+/).map(value => keywords[value] || Number(value) || 400);
+        return [values[0], values[values.length - 1]];
+    }
+
+    // Runs on every page view with the profile's `fonts` settings
+    run(config = {}) {
+        const defaults = { aboveFold: 'swap', belowFold: 'swap', maxPreload: 3 };
+        this.config = Object.assign({}, defaults, config);
+
+        ['aboveFold', 'belowFold'].forEach(key => {
+            if (!(this.config[key] in WixFontOptimizer.BLOCK_PERIOD)) {
+                console.warn(`⚠️ Unknown font-display "${this.config[key]}" for fonts.${key}, using ${defaults[key]}`);
+                this.config[key] = defaults[key];
+            }
+        });
+
+        this.discover();
+
+        const used = this.findUsedFaces();
+        const usedFamilies = new Set(used.map(face => face.family));
+
+        this.applyDisplay(usedFamilies);
+
+        used.filter(face => face.urls.length > 0)
+            .slice(0, this.config.maxPreload)
+            .forEach(face => this.preload(face.urls[0]));
+
+        this.preconnectOrigins();
+
+        if (this.faces.length > 0) {
+            console.log(`🔤 ${this.faces.length} font faces, ${usedFamilies.size} families above the fold, ${this.preloaded.length} preloaded`);
+        }
+    }
+
+    discover() {
+        this.faces = [];
+        this.unreadable = [];
+
+        Array.from(document.styleSheets).forEach(sheet => this.collectSheet(sheet));
+    }
+
+    collectSheet(sheet) {
+        let rules;
+        try {
+            rules = sheet.cssRules;
+        } catch (error) {
+            // Cross-origin without CORS: its faces are in document.fonts, but
+            // their URLs can't be read
+            if (sheet.href) this.unreadable.push(sheet.href);
+            return;
+        }
+
+        this.collectRules(rules, sheet.href || window.location.href);
+    }
+
+    collectRules(rules, base) {
+        Array.from(rules || []).forEach(rule => {
+            if (rule.type === CSSRule.IMPORT_RULE) {
+                if (rule.styleSheet) this.collectSheet(rule.styleSheet);
+            } else if (rule.type === CSSRule.FONT_FACE_RULE) {
+                const style = rule.style;
+                const family = WixFontOptimizer.unquote(style.getPropertyValue('font-family'));
+                if (!family) return;
+
+                const display = style.getPropertyValue('font-display').trim() || 'auto';
+                this.faces.push({
+                    family: family,
+                    weight: WixFontOptimizer.weightRange(style.getPropertyValue('font-weight').trim()),
+                    style: style.getPropertyValue('font-style').trim() || 'normal',
+                    display: display,
+                    urls: WixFontOptimizer.parseSources(style.getPropertyValue('src'), base)
+                });
+                if (!this.display.has(family)) this.display.set(family, display);
+            } else if (rule.cssRules) {
+                // @media, @supports, @layer
+                this.collectRules(rule.cssRules, base);
+            }
+        });
+    }
+
+    // The face each distinct font of the text in the first viewport resolves
+    // to, most used first
+    findUsedFaces() {
+        if (!document.body) return [];
+
+        const families = new Set(this.faces.map(face => face.family));
+        if (document.fonts) document.fonts.forEach(face => families.add(WixFontOptimizer.unquote(face.family)));
+
+        const counts = new Map();
+        const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+        let scanned = 0;
+        let node;
+
+        // Enough for the first viewport of any real page
+        while ((node = walker.nextNode()) && scanned < 1000) {
+            const element = node.parentElement;
+            if (!element || !node.textContent.trim() || element.closest('script, style, noscript, template')) continue;
+            scanned++;
+
+            const rect = element.getBoundingClientRect();
+            if (rect.top > window.innerHeight || rect.bottom < 0) continue;
+
+            const computed = getComputedStyle(element);
+            const family = computed.fontFamily.split(',').map(WixFontOptimizer.unquote).find(name => families.has(name));
+            if (!family) continue;
+
+            const key = `${family}|${computed.fontWeight}|${computed.fontStyle}`;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+
+        const used = [];
+        Array.from(counts.entries()).sort((a, b) => b[1] - a[1]).forEach(([key]) => {
+            const [family, weight, style] = key.split('|');
+            const face = this.matchFace(family, WixFontOptimizer.weightRange(weight)[0], style);
+            const entry = face || { family: family, urls: [] };
+            if (!used.includes(entry)) used.push(entry);
+        });
+
+        return used;
+    }
+
+    // Same style if there is one, then the nearest weight
+    matchFace(family, weight, style) {
+        const candidates = this.faces.filter(face => face.family === family);
+        if (candidates.length === 0) return null;
+
+        const styled = candidates.filter(face => face.style === style);
+        const pool = styled.length ? styled : candidates;
+        const distance = face => weight < face.weight[0] ? face.weight[0] - weight
+            : weight > face.weight[1] ? weight - face.weight[1]
+                : 0;
+
+        return pool.reduce((best, face) => distance(face) < distance(best) ? face : best);
+    }
+
+    // Only faces the browser hasn't started on, and only where the site left
+    // font-display at its default
+    applyDisplay(usedFamilies) {
+        if (!document.fonts) return;
+
+        document.fonts.forEach(face => {
+            if (face.status !== 'unloaded' || (face.display && face.display !== 'auto')) return;
+
+            const family = WixFontOptimizer.unquote(face.family);
+            const display = usedFamilies.has(family) ? this.config.aboveFold : this.config.belowFold;
+
+            try {
+                face.display = display;
+                this.display.set(family, display);
+                this.displayChanged++;
+            } catch (error) {
+                console.warn(`⚠️ Could not set font-display on ${family}:`, error);
+            }
+        });
+    }
+
+    preload(url) {
+        if (this.preloaded.includes(url) || performance.getEntriesByName(url, 'resource').length > 0) return;
+        if (document.querySelector(`link[rel="preload"][href="${url.replace(/["\\]/g, '\\$&')}"]`)) return;
+
+        const link = document.createElement('link');
+        link.rel = 'preload';
+        link.setAttribute('as', 'font');
+        link.href = url;
+        // Fonts are always fetched in CORS mode; without this the preload is wasted
+        link.crossOrigin = 'anonymous';
+        const format = url.match(/\.(woff2?|ttf|otf)(\?|#|$)/i);
+        if (format) link.type = `font/${format[1].toLowerCase()}`;
+        link.setAttribute('data-wix-optimized', 'true');
+
+        document.head.appendChild(link);
+        this.preloaded.push(url);
+    }
+
+    preconnectOrigins() {
+        const origins = new Set();
+        const add = url => {
+            try {
+                const origin = new URL(url, window.location.href).origin;
+                if (origin !== window.location.origin) origins.add(origin);
+            } catch (error) {
+                // Ignore
+            }
+        };
+
+        this.faces.forEach(face => face.urls.forEach(add));
+        this.unreadable.filter(WixFontOptimizer.isWixHost).forEach(add);
+
+        origins.forEach(origin => {
+            if (this.preconnected.includes(origin) ||
+                document.querySelector(`link[rel="preconnect"][href="${origin}"][crossorigin]`)) return;
+
+            const link = document.createElement('link');
+            link.rel = 'preconnect';
+            link.href = origin;
+            link.crossOrigin = 'anonymous';
+            link.setAttribute('data-wix-optimized', 'true');
+            document.head.appendChild(link);
+            this.preconnected.push(origin);
+        });
+    }
+
+    // Font loads and layout shifts, buffered so earlier ones count too
+    observe() {
+        if (this.observer || !('PerformanceObserver' in window)) return;
+
+        this.observer = new PerformanceObserver(list => list.getEntries().forEach(entry => {
+            if (entry.entryType === 'resource') {
+                if (WixFontOptimizer.isFontUrl(entry.name)) this.loads.set(entry.name, entry);
+            } else if (!entry.hadRecentInput && this.shifts.length < 200) {
+                this.shifts.push({ startTime: entry.startTime, value: entry.value });
+            }
+        }));
+
+        ['resource', 'layout-shift'].forEach(type => {
+            try {
+                this.observer.observe({ type: type, buffered: true });
+            } catch (error) {
+                // Not supported in this browser
+            }
+        });
+    }
+
+    stop() {
+        if (this.observer) this.observer.disconnect();
+        this.observer = null;
+    }
+
+    familyFor(url) {
+        const face = this.faces.find(item => item.urls.includes(url));
+        return face ? face.family : null;
+    }
+
+    getStats() {
+        const loads = Array.from(this.loads.values()).map(entry => {
+            const family = this.familyFor(entry.name);
+            const display = (family && this.display.get(family)) || 'auto';
+            const duration = Math.round(entry.responseEnd - entry.startTime);
+            const block = WixFontOptimizer.BLOCK_PERIOD[display] || 3000;
+            const swap = WixFontOptimizer.SWAP_PERIOD[display];
+
+            return {
+                url: entry.name,
+                family: family,
+                display: display,
+                preloaded: this.preloaded.includes(entry.name),
+                duration: duration,
+                // Estimates: text in this font hidden, then in its fallback
+                foit: Math.min(duration, block),
+                fout: duration > block && duration - block <= swap ? duration - block : 0,
+                end: entry.responseEnd
+            };
+        });
+
+        const swapShift = this.shifts
+            .filter(shift => loads.some(load => shift.startTime >= load.end && shift.startTime - load.end <= WixFontOptimizer.SHIFT_WINDOW))
+            .reduce((sum, shift) => sum + shift.value, 0);
+
+        return {
+            faces: this.faces.length,
+            unreadable: this.unreadable.slice(),
+            preloaded: this.preloaded.slice(),
+            preconnected: this.preconnected.slice(),
+            displayChanged: this.displayChanged,
+            loads: loads.map(({ end, ...load }) => load),
+            foit: loads.reduce((max, load) => Math.max(max, load.foit), 0),
+            fout: loads.reduce((max, load) => Math.max(max, load.fout), 0),
+            swapShift: Math.round(swapShift * 10000) / 10000
+        };
+    }
+}
+
+// Export for external use
+window.WixFontOptimizer = WixFontOptimizer;
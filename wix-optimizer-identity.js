@@ -0,0 +1,204 @@
+// Script identity for the Wix optimizer elements.
+//
+// Two URLs are the same script when their canonical ids match. The id ignores
+// the protocol, the CDN host a Wix bundle was served from, the content hash in
+// the file name, the version directory of a Wix service and cache-busting
+// query parameters. Package versions (react@18.2.0) are part of the id:
+//
+//     https://static.parastorage.com/services/wix-thunderbolt/dist/main.7120cb19.bundle.min.js
+//     //static.wixstatic.com/services/wix-thunderbolt/dist/main.5d2e9f1a.bundle.min.js?v=2
+//         -> cdn/services/wix-thunderbolt/dist/main.bundle.min.js
+//
+// Each element keeps a registry of every copy of every script on the page: the
+// page's own (`original`), script preloads (`preload`), and the ones it put in
+// (`injected`, `restored`), with whether each has loaded. Before inserting a
+// script the element asks for a copy that has run or is still going to, and
+// waits for that one instead (for SETTLE_TIMEOUT at most), so no bundle
+// executes twice.
+class WixScriptIdentity {
+    constructor() {
+        this.entries = new Map();
+        this.instances = new WeakMap();
+    }
+
+    // Hosts serving the same Wix bundles
+    static get CDN_HOSTS() {
+        return ['static.parastorage.com', 'static.wixstatic.com'];
+    }
+
+    // Query parameters that only defeat caches
+    static get CACHE_BUSTERS() {
+        return ['v', 'ver', 'version', 'cb', 't', 'ts', '_'];
+    }
+
+    // Longest wait for a copy to load or fail
+    static get SETTLE_TIMEOUT() {
+        return 10000;
+    }
+
+    static canonicalize(src) {
+        let url;
+        try {
+            url = new URL(src, document.baseURI);
+        } catch (error) {
+            return String(src);
+        }
+
+        let path = url.pathname.replace(/\/{2,}/g, '/');
+        try {
+            path = decodeURIComponent(path);
+        } catch (error) {
+            // Malformed escapes: keep the path as it is
+        }
+
+        // /services/communities-blog-ooi/1.2456.0/... is redeployed under a new
+        // directory; a different react@x.y.z is a different script
+        path = WixScriptManifest.stripHash(path)
+            .replace(/^(\/services\/[^/]+)\/\d+\.\d+\.\d+(?=\/)/, '$1/*');
+
+        // CDN bundles are versioned by their path, other scripts (gtag/js?id=...)
+        // may be told apart by their query
+        const cdn = WixScriptIdentity.CDN_HOSTS.includes(url.hostname);
+        const params = cdn ? [] : Array.from(url.searchParams.entries())
+            .filter(([key]) => !WixScriptIdentity.CACHE_BUSTERS.includes(key))
+            .map(([key, value]) => `${key}=${value}`)
+            .sort();
+
+        return `${cdn ? 'cdn' : url.host.toLowerCase()}${path}${params.length ? `?${params.join('&')}` : ''}`;
+    }
+
+    static same(a, b) {
+        return !!a && !!b && WixScriptIdentity.canonicalize(a) === WixScriptIdentity.canonicalize(b);
+    }
+
+    static matchesAny(src, urls) {
+        if (!src) return false;
+
+        const id = WixScriptIdentity.canonicalize(src);
+        return urls.some(url => WixScriptIdentity.canonicalize(url) === id);
+    }
+
+    // Record a <script src> or script preload; role is original, preload,
+    // injected or restored
+    track(element, role) {
+        if (this.instances.has(element)) return this.instances.get(element);
+
+        const src = element.tagName === 'LINK' ? element.href : element.src;
+        const instance = {
+            id: WixScriptIdentity.canonicalize(src),
+            src: src,
+            role: role,
+            element: element,
+            state: element.tagName === 'LINK' ? 'preload' : 'loading',
+            // Only a script that was inserted has started, and runs even once removed
+            connected: element.isConnected
+        };
+
+        if (instance.state === 'loading') {
+            element.addEventListener('load', () => {
+                instance.state = 'loaded';
+            }, { once: true });
+            element.addEventListener('error', () => {
+                instance.state = 'failed';
+            }, { once: true });
+        }
+
+        const entry = this.entries.get(instance.id) || { id: instance.id, instances: [] };
+        entry.instances.push(instance);
+        this.entries.set(instance.id, entry);
+        this.instances.set(element, instance);
+
+        return instance;
+    }
+
+    // Pick up every script and script preload now in the document; returns the
+    // scripts' instances in document order
+    scan(root = document) {
+        root.querySelectorAll('link[rel="preload"][as="script"][href]').forEach(link => this.track(link, 'preload'));
+        return Array.from(root.querySelectorAll('script[src]')).map(script => this.track(script, 'original'));
+    }
+
+    // Every copy of the script seen so far
+    getInstances(src) {
+        this.scan();
+        const entry = this.entries.get(WixScriptIdentity.canonicalize(src));
+        return entry ? entry.instances.slice() : [];
+    }
+
+    // loading, loaded, failed, lost or preload. A page script tracked after it had
+    // already run fired its load event unseen: it has run when it was fetched,
+    // when it was parser-blocking and parsing is over, or once the window has
+    // loaded (which async scripts hold up)
+    stateOf(instance) {
+        if (instance.state !== 'loading' || instance.role !== 'original' || !instance.connected) return instance.state;
+
+        const script = instance.element;
+        const parserBlocking = !script.async && !script.hasAttribute('async') && !script.defer;
+        if (performance.getEntriesByName(instance.src, 'resource').length > 0 ||
+            (parserBlocking && document.readyState !== 'loading') ||
+            document.readyState === 'complete') {
+            instance.state = 'loaded';
+        }
+
+        return instance.state;
+    }
+
+    // A copy that has run or is going to: loaded, or still loading in the page
+    // (taking a script out of the page doesn't stop one that was in it when
+    // tracked, but one that never was won't run)
+    find(src) {
+        return this.getInstances(src).find(instance => {
+            const state = this.stateOf(instance);
+            if (state === 'loaded') return true;
+            return state === 'loading' && (instance.element.isConnected || instance.connected);
+        }) || null;
+    }
+
+    hasPreload(src) {
+        return this.getInstances(src).some(instance => instance.role === 'preload');
+    }
+
+    // Resolves with the copy's state once it has loaded or failed, or after
+    // SETTLE_TIMEOUT or on `signal` abort. A copy out of the page that is still
+    // loading by then is `lost`: it won't be waited for again
+    settled(instance, signal) {
+        if (this.stateOf(instance) !== 'loading') return Promise.resolve(instance.state);
+
+        return new Promise(resolve => {
+            const element = instance.element;
+            let timer = null;
+            const done = () => {
+                clearTimeout(timer);
+                element.removeEventListener('load', done);
+                element.removeEventListener('error', done);
+                window.removeEventListener('load', done);
+                if (signal) signal.removeEventListener('abort', done);
+                resolve(this.stateOf(instance));
+            };
+
+            element.addEventListener('load', done);
+            element.addEventListener('error', done);
+            window.addEventListener('load', done);
+            if (signal) signal.addEventListener('abort', done);
+
+            timer = setTimeout(() => {
+                if (instance.state === 'loading' && !element.isConnected) instance.state = 'lost';
+                done();
+            }, WixScriptIdentity.SETTLE_TIMEOUT);
+        });
+    }
+
+    getStats() {
+        const entries = Array.from(this.entries.values());
+        return {
+            scripts: entries.length,
+            // Scripts with more than one <script> on the page
+            duplicates: entries
+                .filter(entry => entry.instances.filter(instance => instance.role !== 'preload').length > 1)
+                .map(entry => entry.id)
+        };
+    }
+}
+
+// Export for external use
+window.WixScriptIdentity = WixScriptIdentity;
@@ -0,0 +1,264 @@
+// Image optimization for the Wix optimizer elements.
+//
+// Images, not scripts, are the LCP element on blog lists (the first post
+// cover) and product pages (the main product image). Per page view:
+//
+// - the LCP candidate (the profile's `images.lcp` selector, else the largest
+//   image in the viewport) gets `fetchpriority="high"` and, until it has
+//   arrived, a preload of the URL it loads
+// - offscreen images matching `images.lazy` (gallery items, post cards) get
+//   `loading="lazy"` and `decoding="async"`
+// - Wix media URLs of lazy images and images inserted later are rewritten to
+//   the rendered box: `w_`/`h_` scaled down to the box times the device pixel
+//   ratio (2 at most) and `enc_auto`, so Wix serves AVIF or WebP
+//
+//     https://static.wixstatic.com/media/abc~mv2.jpg/v1/fill/w_1920,h_1280,al_c,q_85/abc~mv2.jpg
+//  -> https://static.wixstatic.com/media/abc~mv2.jpg/v1/fill/w_600,h_400,al_c,q_85,enc_auto/abc~mv2.jpg
+//
+// An image the browser has already requested keeps its URL: rewriting it would
+// download it twice. An eager image counts as requested as soon as it is in
+// the page. Images with a `srcset` are left to the browser.
+class WixImageOptimizer {
+    constructor(host) {
+        this.host = host;
+        this.config = { lcp: null, lazy: null };
+
+        this.lcp = null;
+        this.counts = { lazy: 0, rewritten: 0 };
+        this.handled = new WeakSet();
+    }
+
+    static get MEDIA_HOST() {
+        return 'static.wixstatic.com';
+    }
+
+    // { id, mode, params: [[key, value]], filename } for a transformed Wix media
+    // URL, null for anything else
+    static parseMediaUrl(src) {
+        let url;
+        try {
+            url = new URL(src, window.location.href);
+        } catch (error) {
+            return null;
+        }
+
+        if (url.hostname !== WixImageOptimizer.MEDIA_HOST) return null;
+
+        // /media/<id>/v1/<mode>/<params>/<filename>
+        const parts = url.pathname.split('/');
+        if (parts[1] !== 'media' || parts[3] !== 'v1' || parts.length < 7) return null;
+
+        const params = parts[5].split(',').filter(Boolean).map(param => {
+            const split = param.indexOf('_');
+            return split === -1 ? [param, ''] : [param.slice(0, split), param.slice(split + 1)];
+        });
+
+        return { url: url, id: parts[2], mode: parts[4], params: params, filename: parts.slice(6).join('/') };
+    }
+
+    // The URL for a box of width x height CSS pixels; null when it wouldn't
+    // save anything. Never scales up
+    static sizeMediaUrl(src, width, height, dpr = 1) {
+        const media = WixImageOptimizer.parseMediaUrl(src);
+        if (!media || !width || !height) return null;
+
+        const get = key => {
+            const param = media.params.find(([name]) => name === key);
+            return param ? Number(param[1]) : null;
+        };
+        const set = (key, value) => {
+            const param = media.params.find(([name]) => name === key);
+            if (param) {
+                param[1] = String(value);
+            } else {
+                media.params.push([key, String(value)]);
+            }
+        };
+
+        const currentWidth = get('w');
+        const currentHeight = get('h');
+        const targetWidth = Math.round(width * dpr);
+
+        let changed = false;
+
+        // 10% slack, so a few pixels don't cost a fresh variant
+        if (currentWidth && currentHeight && currentWidth > targetWidth * 1.1) {
+            set('w', targetWidth);
+            set('h', Math.round(currentHeight * targetWidth / currentWidth));
+            changed = true;
+        }
+
+        if (!media.params.some(([name]) => name === 'enc')) {
+            set('enc', 'auto');
+            changed = true;
+        }
+
+        if (!changed) return null;
+
+        const params = media.params.map(([key, value]) => value === '' ? key : `${key}_${value}`).join(',');
+        media.url.pathname = `/media/${media.id}/v1/${media.mode}/${params}/${media.filename}`;
+        return media.url.href;
+    }
+
+    static dpr() {
+        return Math.min(window.devicePixelRatio || 1, 2);
+    }
+
+    // The browser has asked for this URL already: an eager image in the page
+    // is fetched right away
+    static isRequested(img) {
+        const src = img.currentSrc || img.src;
+        if (!src) return false;
+        if (img.isConnected && img.getAttribute('loading') !== 'lazy') return true;
+        return WixImageOptimizer.isFetched(img);
+    }
+
+    // The browser has picked a URL (currentSrc is only set then), loaded it or
+    // lists it in the resource timeline
+    static isFetched(img) {
+        if (img.currentSrc) return true;
+        if (!img.src) return false;
+        if (img.complete && img.naturalWidth > 0) return true;
+        return performance.getEntriesByName(img.src, 'resource').length > 0;
+    }
+
+    static isOffscreen(img) {
+        const rect = img.getBoundingClientRect();
+        return rect.top > window.innerHeight * 1.25 || rect.bottom < 0;
+    }
+
+    // Runs on every page view with the profile's `images` selectors
+    run(config = {}) {
+        this.config = Object.assign({ lcp: null, lazy: null }, config);
+        this.lcp = null;
+
+        const candidate = this.findLcpCandidate();
+        if (candidate) this.promote(candidate);
+
+        if (this.config.lazy) {
+            document.querySelectorAll(this.config.lazy).forEach(img => this.handleImage(img, false));
+        }
+    }
+
+    findLcpCandidate() {
+        if (this.config.lcp) {
+            const images = Array.from(document.querySelectorAll(this.config.lcp)).filter(img => img.tagName === 'IMG');
+            const visible = images.find(img => !WixImageOptimizer.isOffscreen(img));
+            if (visible) return visible;
+        }
+
+        // Largest image in the first viewport
+        let largest = null;
+        let largestArea = 0;
+
+        document.querySelectorAll('img').forEach(img => {
+            if (WixImageOptimizer.isOffscreen(img)) return;
+
+            const rect = img.getBoundingClientRect();
+            const area = rect.width * rect.height;
+            if (area > largestArea) {
+                largest = img;
+                largestArea = area;
+            }
+        });
+
+        return largest;
+    }
+
+    promote(img) {
+        this.handled.add(img);
+
+        const requested = WixImageOptimizer.isRequested(img);
+        const rewritten = requested ? false : this.rewrite(img);
+
+        img.setAttribute('fetchpriority', 'high');
+        if (img.getAttribute('loading') === 'lazy') img.setAttribute('loading', 'eager');
+
+        // Nothing left to speed up once it has arrived
+        const preloaded = !(img.complete && img.naturalWidth > 0) && this.preload(img);
+
+        this.lcp = {
+            element: WixVitalsCollector.describeElement(img),
+            src: img.currentSrc || img.src,
+            rewritten: rewritten,
+            preloaded: preloaded
+        };
+        console.log(`🖼️ LCP candidate: ${this.lcp.element}${preloaded ? ' (preloaded)' : ''}`);
+    }
+
+    // The URL the image loads, so the preload shares its request
+    preload(img) {
+        const href = img.currentSrc || img.getAttribute('src');
+        if (!href || document.querySelector(`link[rel="preload"][as="image"][href="${href.replace(/["\\]/g, '\\$&')}"]`)) return false;
+
+        const link = document.createElement('link');
+        link.rel = 'preload';
+        link.as = 'image';
+        link.href = href;
+        link.setAttribute('fetchpriority', 'high');
+        if (img.srcset) link.setAttribute('imagesrcset', img.srcset);
+        if (img.sizes) link.setAttribute('imagesizes', img.sizes);
+        link.setAttribute('data-wix-optimized', 'true');
+
+        document.head.appendChild(link);
+        return true;
+    }
+
+    // An image matching `images.lazy`, from the start or inserted `late`
+    handleImage(img, late) {
+        if (this.handled.has(img) || img.tagName !== 'IMG') return;
+        this.handled.add(img);
+
+        if (!WixImageOptimizer.isOffscreen(img)) return;
+
+        // An eager image that was in the page from the start is on its way;
+        // one inserted since is seen before it is fetched
+        const requested = late ? WixImageOptimizer.isFetched(img) : WixImageOptimizer.isRequested(img);
+
+        if (img.getAttribute('loading') !== 'lazy') {
+            img.setAttribute('loading', 'lazy');
+            this.counts.lazy++;
+        }
+        img.setAttribute('decoding', 'async');
+
+        if (!requested) this.rewrite(img);
+    }
+
+    handleLateImages(node) {
+        if (!this.config.lazy) return;
+
+        if (node.tagName === 'IMG') {
+            if (node.matches(this.config.lazy)) this.handleImage(node, true);
+        } else {
+            node.querySelectorAll(this.config.lazy).forEach(img => this.handleImage(img, true));
+        }
+    }
+
+    rewrite(img) {
+        if (img.srcset) return false;
+
+        const rect = img.getBoundingClientRect();
+        const width = rect.width || img.width;
+        const height = rect.height || img.height;
+
+        const sized = WixImageOptimizer.sizeMediaUrl(img.getAttribute('src') || '', width, height, WixImageOptimizer.dpr());
+        if (!sized) return false;
+
+        img.setAttribute('src', sized);
+        this.counts.rewritten++;
+        return true;
+    }
+
+    getStats() {
+        const actual = this.host.vitals.lcpElement;
+
+        return {
+            lcp: this.lcp ? Object.assign({ matched: actual ? actual === this.lcp.element : null }, this.lcp) : null,
+            lazy: this.counts.lazy,
+            rewritten: this.counts.rewritten
+        };
+    }
+}
+
+// Export for external use
+window.WixImageOptimizer = WixImageOptimizer;
@@ -0,0 +1,263 @@
+// Declarative script manifest shared by the Wix optimizer elements.
+//
+// A manifest classifies scripts into tiers by pattern instead of by full,
+// content-hashed parastorage URL, so it keeps matching after Wix redeploys
+// thunderbolt:
+//
+// {
+//     "version": 1,
+//     "scripts": [
+//         { "id": "main", "tier": "critical", "pattern": "wix-thunderbolt/dist/main.*.bundle" },
+//         { "id": "sentry", "tier": "optional", "pattern": "/sentry-cdn\\.com\\/.*\\/bundle\\.tracing/i" }
+//     ]
+// }
+//
+// Patterns are matched against "host/path" of the script URL (no protocol, no
+// query string), both as-is and with the content hash stripped from the file
+// name. Globs support `*` (anything but "/"), `**` (anything) and `?`; a
+// pattern written as "/source/flags" is used as a regular expression.
+//
+// Entries may also declare `dependsOn` and `ready`, see WixScriptScheduler,
+// and a `trigger` for when the script loads, see WixScriptTriggers. Third-party
+// tags carry a consent `category` and an optional `facade`, see
+// WixThirdPartyGovernor, and may set `"worker": true` to run off the main
+// thread once released, see WixWorkerProxy.
+class WixScriptManifest {
+    constructor(definition = {}) {
+        const scripts = Array.isArray(definition.scripts) ? definition.scripts : [];
+
+        this.version = definition.version || 1;
+        this.rules = [];
+
+        scripts.forEach((entry, index) => {
+            const rule = WixScriptManifest.compileRule(entry, index);
+            if (rule) this.rules.push(rule);
+        });
+    }
+
+    static get TIERS() {
+        return ['critical', 'deferred', 'optional'];
+    }
+
+    static get TRIGGERS() {
+        return ['visible', 'interaction', 'idle', 'timeout', 'never'];
+    }
+
+    static get CATEGORIES() {
+        return ['essential', 'functional', 'analytics', 'advertising'];
+    }
+
+    static get FACADE_TYPES() {
+        return ['array', 'function', 'object'];
+    }
+
+    // Read the manifest for an element: an inline <script type="application/json">
+    // child wins over the `manifest` attribute; anything invalid falls back
+    static fromElement(element, fallback) {
+        const inline = element.querySelector(':scope > script[type="application/json"]');
+        const source = inline ? inline.textContent : element.getAttribute('manifest');
+
+        if (source && source.trim()) {
+            try {
+                return new WixScriptManifest(JSON.parse(source));
+            } catch (error) {
+                console.warn('⚠️ Invalid script manifest, using built-in defaults:', error);
+            }
+        }
+
+        return new WixScriptManifest(fallback);
+    }
+
+    static compileRule(entry, index) {
+        if (!entry || typeof entry !== 'object') {
+            console.warn(`⚠️ Manifest entry #${index} is not an object, skipping`);
+            return null;
+        }
+
+        if (!WixScriptManifest.TIERS.includes(entry.tier)) {
+            console.warn(`⚠️ Manifest entry #${index} has unknown tier "${entry.tier}", skipping`);
+            return null;
+        }
+
+        const patterns = Array.isArray(entry.pattern) ? entry.pattern : [entry.pattern];
+        const matchers = [];
+
+        for (const pattern of patterns) {
+            try {
+                matchers.push(WixScriptManifest.compilePattern(pattern));
+            } catch (error) {
+                console.warn(`⚠️ Manifest entry #${index} has an invalid pattern, skipping`, error);
+                return null;
+            }
+        }
+
+        if (entry.ready && !(entry.ready.global || entry.ready.module)) {
+            console.warn(`⚠️ Manifest entry #${index} has a ready check without "global" or "module", ignoring it`);
+        }
+
+        const trigger = entry.trigger ? WixScriptManifest.compileTrigger(entry.trigger) : null;
+        if (entry.trigger && !trigger) {
+            console.warn(`⚠️ Manifest entry #${index} has an invalid trigger, ignoring it`, entry.trigger);
+        }
+
+        if (entry.category && !WixScriptManifest.CATEGORIES.includes(entry.category)) {
+            console.warn(`⚠️ Manifest entry #${index} has unknown consent category "${entry.category}", skipping`);
+            return null;
+        }
+
+        const facade = entry.facade && entry.facade.global && WixScriptManifest.FACADE_TYPES.includes(entry.facade.type)
+            ? entry.facade
+            : null;
+        if (entry.facade && !facade) {
+            console.warn(`⚠️ Manifest entry #${index} has an invalid facade, ignoring it`, entry.facade);
+        }
+
+        // Only third-party tags are released through the worker
+        const worker = !!entry.worker && !!entry.category && entry.category !== 'essential';
+        if (entry.worker && !worker) {
+            console.warn(`⚠️ Manifest entry #${index} asks for the worker without a consent category, ignoring it`);
+        }
+
+        return {
+            id: entry.id || `script-${index}`,
+            tier: entry.tier,
+            pattern: entry.pattern,
+            src: entry.src || null,
+            dependsOn: [].concat(entry.dependsOn || []),
+            ready: entry.ready && (entry.ready.global || entry.ready.module) ? entry.ready : null,
+            trigger: trigger,
+            category: entry.category || null,
+            facade: facade,
+            worker: worker,
+            matchers: matchers
+        };
+    }
+
+    // "idle" -> { type: 'idle' }; null for unknown types, or `visible` and
+    // `interaction` without a selector
+    static compileTrigger(trigger) {
+        const compiled = typeof trigger === 'string' ? { type: trigger } : trigger;
+
+        if (!compiled || !WixScriptManifest.TRIGGERS.includes(compiled.type)) return null;
+        if ((compiled.type === 'visible' || compiled.type === 'interaction') && !compiled.selector) return null;
+
+        return compiled;
+    }
+
+    static compilePattern(pattern) {
+        if (typeof pattern !== 'string' || !pattern) {
+            throw new TypeError('pattern must be a non-empty string');
+        }
+
+        // "/source/flags" is a regular expression
+        const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+        if (regexMatch) {
+            return new RegExp(regexMatch[1], regexMatch[2]);
+        }
+
+        const source = pattern
+            .split(/(\*\*|\*|\?)/)
+            .map(part => {
+                if (part === '**') return '.*';
+                if (part === '*') return '[^/]*';
+                if (part === '?') return '[^/]';
+                return part.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+            })
+            .join('');
+
+        // Must end on a name boundary so "main.*.bundle" doesn't match "main.x.bundles"
+        return new RegExp(`${source}(?=$|[./])`, 'i');
+    }
+
+    // "host/path" of a script URL without protocol, query string or fragment
+    static normalize(src) {
+        try {
+            const url = new URL(src, document.baseURI);
+            return `${url.host}${url.pathname}`;
+        } catch (error) {
+            return String(src).replace(/^[a-z]+:\/\//i, '').replace(/[?#].*$/, '');
+        }
+    }
+
+    // Remove the content hash from the file name: main.7120cb19.bundle.min.js -> main.bundle.min.js
+    static stripHash(path) {
+        const slash = path.lastIndexOf('/');
+        const fileName = path.slice(slash + 1).replace(/\.[0-9a-f]{8,}(?=\.)/gi, '');
+        return path.slice(0, slash + 1) + fileName;
+    }
+
+    match(src) {
+        if (!src) return null;
+
+        const path = WixScriptManifest.normalize(src);
+        const unhashed = WixScriptManifest.stripHash(path);
+
+        return this.rules.find(rule =>
+            rule.matchers.some(matcher => matcher.test(path) || matcher.test(unhashed))
+        ) || null;
+    }
+
+    classify(src) {
+        const rule = this.match(src);
+        return rule ? rule.tier : null;
+    }
+
+    getRules(tier) {
+        return this.rules.filter(rule => rule.tier === tier);
+    }
+
+    getRule(id) {
+        return this.rules.find(rule => rule.id === id) || null;
+    }
+
+    // Resolve a tier against the live DOM: every matching <script src> (and
+    // script preload) in document order, then explicit `src` fallbacks for
+    // rules that matched nothing on the page
+    resolve(tier, root = document) {
+        const rules = this.getRules(tier);
+        const resolved = [];
+        const seen = new Set();
+
+        root.querySelectorAll('script[src], link[rel="preload"][as="script"][href]').forEach(element => {
+            const src = element.src || element.href;
+            const rule = this.match(src);
+            if (!rule || rule.tier !== tier || seen.has(src)) return;
+
+            seen.add(src);
+            resolved.push({ rule: rule, src: src, element: element });
+        });
+
+        rules.forEach(rule => {
+            if (rule.src && !resolved.some(entry => entry.rule === rule)) {
+                resolved.push({ rule: rule, src: rule.src, element: null });
+            }
+        });
+
+        return resolved;
+    }
+
+    // Script URLs of a tier as currently found on the page
+    resolveUrls(tier, root = document) {
+        return this.resolve(tier, root).map(entry => entry.src);
+    }
+
+    toJSON() {
+        return {
+            version: this.version,
+            scripts: this.rules.map(rule => {
+                const entry = { id: rule.id, tier: rule.tier, pattern: rule.pattern };
+                if (rule.src) entry.src = rule.src;
+                if (rule.dependsOn.length) entry.dependsOn = rule.dependsOn;
+                if (rule.ready) entry.ready = rule.ready;
+                if (rule.trigger) entry.trigger = rule.trigger;
+                if (rule.category) entry.category = rule.category;
+                if (rule.facade) entry.facade = rule.facade;
+                if (rule.worker) entry.worker = true;
+                return entry;
+            })
+        };
+    }
+}
+
+// Export for external use
+window.WixScriptManifest = WixScriptManifest;
@@ -0,0 +1,67 @@
+// Client-side navigation detection for the Wix optimizer elements.
+//
+// Thunderbolt moves between pages with history.pushState and popstate instead
+// of full reloads. The watcher wraps pushState/replaceState once per page and
+// dispatches a `wix-optimizer-navigation` event on window whenever the path
+// changes:
+//
+//     window.addEventListener('wix-optimizer-navigation', (event) => {
+//         // { type: 'push' | 'replace' | 'pop', from, to }
+//         console.log(event.detail);
+//     });
+//
+// Query string and hash changes on the same path are not navigations.
+class WixNavigationWatcher {
+    static get EVENT() {
+        return 'wix-optimizer-navigation';
+    }
+
+    static install() {
+        if (WixNavigationWatcher.installed) return;
+        WixNavigationWatcher.installed = true;
+
+        let current = window.location.href;
+
+        const notify = (type) => {
+            const to = window.location.href;
+            if (!WixNavigationWatcher.isNewPage(current, to)) {
+                current = to;
+                return;
+            }
+
+            const detail = { type: type, from: current, to: to };
+            current = to;
+            window.dispatchEvent(new CustomEvent(WixNavigationWatcher.EVENT, { detail: detail }));
+        };
+
+        const wrap = (method, type) => {
+            const original = history[method];
+            if (typeof original !== 'function') return;
+
+            history[method] = function (...args) {
+                const result = original.apply(this, args);
+                notify(type);
+                return result;
+            };
+        };
+
+        wrap('pushState', 'push');
+        wrap('replaceState', 'replace');
+        window.addEventListener('popstate', () => notify('pop'));
+    }
+
+    static isNewPage(from, to) {
+        try {
+            const a = new URL(from);
+            const b = new URL(to);
+            return a.origin !== b.origin || a.pathname !== b.pathname;
+        } catch (error) {
+            return from !== to;
+        }
+    }
+}
+
+WixNavigationWatcher.installed = false;
+
+// Export for external use
+window.WixNavigationWatcher = WixNavigationWatcher;
@@ -0,0 +1,185 @@
+// Debug overlay for the Wix optimizer elements.
+//
+// With `debug` on (the attribute or WixOptimizer.configure({ debug: true }))
+// the element, normally hidden, renders a panel in its own shadow root:
+//
+// - the profile, strategy, arm, capability tier and state of the page view,
+//   with LCP, CLS and TBT so far
+// - one row per script the optimizer touched: its tier, the manifest rule it
+//   matched (and that rule's trigger), the actions taken and a waterfall of its
+//   fetch (from resource timing) and execution time (from long animation
+//   frames, where supported)
+// - the page's long tasks on the same time axis
+//
+// A button turns the optimizer off for this URL from the next reload (the same
+// flag a rollback sets, see WixRollbackGuard), or back on. The panel refreshes
+// every second while shown.
+class WixOptimizerOverlay {
+    constructor(host) {
+        this.host = host;
+        this.root = null;
+        this.timer = null;
+        this.collapsed = false;
+
+        this.onClick = event => {
+            const button = event.target.closest('[data-action]');
+            if (!button) return;
+
+            const action = button.getAttribute('data-action');
+            if (action === 'collapse') {
+                this.collapsed = !this.collapsed;
+            } else if (action === 'disable') {
+                WixRollbackGuard.disable({ type: 'overlay', message: 'turned off from the debug overlay' });
+            } else if (action === 'enable') {
+                WixRollbackGuard.enable(window.location);
+            }
+            this.render();
+        };
+    }
+
+    static get REFRESH_INTERVAL() {
+        return 1000;
+    }
+
+    static get STYLE() {
+        return `
+            :host { all: initial; position: fixed; right: 8px; bottom: 8px; z-index: 2147483647; }
+            .panel { width: 560px; max-height: 60vh; overflow: auto; background: #1e1e1e; color: #ddd;
+                font: 11px/1.4 ui-monospace, Menlo, monospace; border-radius: 6px; box-shadow: 0 4px 16px rgba(0,0,0,.4); }
+            header { display: flex; align-items: center; gap: 8px; padding: 6px 8px; background: #2d2d2d; position: sticky; top: 0; }
+            header .title { flex: 1; }
+            button { font: inherit; color: inherit; background: #444; border: 0; border-radius: 3px; padding: 2px 6px; cursor: pointer; }
+            .summary { padding: 4px 8px; color: #aaa; }
+            table { width: 100%; border-collapse: collapse; }
+            td { padding: 2px 8px; border-top: 1px solid #333; vertical-align: middle; white-space: nowrap; }
+            td.name { max-width: 150px; overflow: hidden; text-overflow: ellipsis; }
+            .tier-critical { color: #f48771; } .tier-deferred { color: #dcdcaa; } .tier-optional { color: #9cdcfe; }
+            .actions { color: #aaa; white-space: normal; }
+            .lane { position: relative; width: 160px; height: 10px; background: #2a2a2a; }
+            .bar { position: absolute; top: 1px; height: 8px; min-width: 1px; }
+            .fetch { background: #4fc1ff; } .execute { background: #c586c0; } .long-task { background: #f44747; }
+            .legend span { margin-right: 10px; }
+        `;
+    }
+
+    static escape(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    show() {
+        if (this.timer) return;
+
+        this.root = this.host.shadowRoot || this.host.attachShadow({ mode: 'open' });
+        this.root.addEventListener('click', this.onClick);
+        this.host.style.display = 'block';
+
+        this.render();
+        this.timer = setInterval(() => this.render(), WixOptimizerOverlay.REFRESH_INTERVAL);
+    }
+
+    hide() {
+        clearInterval(this.timer);
+        this.timer = null;
+
+        if (this.root) {
+            this.root.removeEventListener('click', this.onClick);
+            this.root.innerHTML = '';
+        }
+        this.host.style.display = 'none';
+    }
+
+    render() {
+        if (!this.root) return;
+
+        const stats = this.host.getOptimizationStats();
+        const escape = WixOptimizerOverlay.escape;
+        const disabled = WixRollbackGuard.getDisabled();
+
+        const state = stats.rollback ? `rolled back (${stats.rollback.type})`
+            : stats.disabledReason || this.host.config.disabled ? 'measuring only'
+                : stats.isComplete ? 'complete'
+                    : 'optimizing';
+
+        const toggle = disabled
+            ? '<button data-action="enable" title="Optimize this URL again from the next reload">Turn on next reload</button>'
+            : '<button data-action="disable" title="Only measure on this URL from the next reload">Turn off next reload</button>';
+
+        let body = '';
+        if (!this.collapsed) {
+            const vitals = stats.vitals;
+            const tier = stats.capability ? stats.capability.tier : '?';
+            body = `
+                <div class="summary">
+                    ${escape(stats.strategy)} · ${escape(stats.arm)} arm · ${escape(tier)} tier · ${escape(state)}${disabled ? ` · off from next reload (${escape(disabled.type)})` : ''}<br>
+                    LCP ${escape(vitals.lcp === null ? '–' : `${vitals.lcp}ms`)} · CLS ${escape(vitals.cls)} · TBT ${escape(vitals.tbt)}ms · ${vitals.longTasks} long tasks
+                </div>
+                ${this.renderWaterfall(vitals.scripts, this.host.vitals.longTasks)}`;
+        }
+
+        this.root.innerHTML = `
+            <style>${WixOptimizerOverlay.STYLE}</style>
+            <div class="panel">
+                <header>
+                    <span class="title">⚡ ${escape(stats.profile || 'no profile')}</span>
+                    ${toggle}
+                    <button data-action="collapse" title="Collapse">${this.collapsed ? '▴' : '▾'}</button>
+                </header>
+                ${body}
+            </div>`;
+    }
+
+    renderWaterfall(scripts, longTasks) {
+        const escape = WixOptimizerOverlay.escape;
+        const manifest = this.host.manifest;
+
+        // Everything on one time axis, at least a second wide
+        const end = Math.max(1000,
+            ...scripts.map(script => (script.startTime || 0) + (script.fetchDuration || 0) + (script.executionTime || 0)),
+            ...longTasks.map(task => task.startTime + task.duration));
+        const bar = (className, start, duration) => `<div class="bar ${className}" style="left:${(start / end) * 100}%;width:${(duration / end) * 100}%"></div>`;
+
+        const rows = scripts
+            .slice()
+            .sort((a, b) => (a.startTime === null ? Infinity : a.startTime) - (b.startTime === null ? Infinity : b.startTime))
+            .map(script => {
+                const rule = manifest && script.id ? manifest.getRule(script.id) : null;
+                const trigger = rule && rule.trigger ? ` (${rule.trigger.type})` : '';
+
+                let lane = '';
+                if (script.startTime !== null) {
+                    const fetched = script.startTime + (script.fetchDuration || 0);
+                    lane = bar('fetch', script.startTime, script.fetchDuration || 0) +
+                        (script.executionTime ? bar('execute', fetched, script.executionTime) : '');
+                }
+
+                const timing = script.startTime === null ? 'not fetched'
+                    : `${script.fetchDuration}ms${script.cached ? ' cached' : ''}${script.executionTime ? ` + ${script.executionTime}ms` : ''}`;
+
+                return `
+                    <tr title="${escape(script.src)}">
+                        <td class="name">${escape(script.src.split('/').pop())}</td>
+                        <td class="tier-${escape(script.tier)}">${escape(script.tier || '–')}</td>
+                        <td>${escape(script.id || '–')}${escape(trigger)}</td>
+                        <td class="actions">${escape(script.actions.join(', '))}</td>
+                        <td><div class="lane">${lane}</div></td>
+                        <td>${escape(timing)}</td>
+                    </tr>`;
+            }).join('');
+
+        const tasks = longTasks.map(task => bar('long-task', task.startTime, task.duration)).join('');
+
+        return `
+            <table>
+                ${rows || '<tr><td>No scripts touched yet</td></tr>'}
+                <tr><td colspan="4">long tasks (${longTasks.length})</td><td><div class="lane">${tasks}</div></td><td>${Math.round(end)}ms</td></tr>
+            </table>
+            <div class="summary legend"><span style="color:#4fc1ff">■ fetch</span><span style="color:#c586c0">■ execute</span><span style="color:#f44747">■ long task</span></div>`;
+    }
+}
+
+// Export for external use
+window.WixOptimizerOverlay = WixOptimizerOverlay;
@@ -0,0 +1,284 @@
+// Navigation prediction for the Wix optimizer elements.
+//
+// From a blog list visitors almost always open a post, from a product page
+// they go to the cart. Profiles (or a `predictions` attribute) list the links
+// worth preparing and when to start:
+//
+//     [
+//         { "selector": "a[href*=\"/post/\"]", "on": ["visible", "hover"], "action": "prefetch" },
+//         { "selector": "a[href*=\"/post/\"]", "on": ["pointerdown"], "action": "prerender" }
+//     ]
+//
+// `on` is any of `hover` (the pointer rests on the link), `pointerdown` and
+// `visible` (the link scrolls into view). Each candidate URL is added as a
+// Speculation Rules list rule (<script type="speculationrules">), or as
+// <link rel="prefetch"> where those aren't supported (prerender then falls back
+// to prefetch). Only same-origin pages are speculated, within a per-document
+// budget; nothing is speculated with Save-Data on or on the `minimal`
+// capability tier.
+//
+// Only a document navigation can use a speculation, and Thunderbolt follows
+// most internal links with pushState, so clicks say nothing about hits. The
+// landing page reports instead whether it was opened from another page of the
+// site (`internal`) and served from a prefetch or prerender (`landing`): the
+// hit rate is landings over internal arrivals, across reports.
+class WixNavigationPredictor {
+    constructor(options = {}) {
+        this.maxPrefetch = options.maxPrefetch || 10;
+        this.maxPrerender = options.maxPrerender || 1;
+        this.hoverDelay = options.hoverDelay || 100;
+
+        this.rules = [];
+        this.budget = { prefetch: this.maxPrefetch, prerender: this.maxPrerender };
+        this.speculated = new Map();
+        this.counts = { overBudget: 0 };
+        this.disabled = null;
+        this.landing = WixNavigationPredictor.readLanding();
+        this.internal = WixNavigationPredictor.readInternal();
+
+        this.listening = false;
+        this.observer = null;
+        this.hoverTimer = null;
+
+        this.onPointerOver = event => {
+            const link = WixNavigationPredictor.linkFor(event.target);
+            if (!link) return;
+
+            clearTimeout(this.hoverTimer);
+            this.hoverTimer = setTimeout(() => this.candidate(link, 'hover'), this.hoverDelay);
+        };
+        this.onPointerOut = () => clearTimeout(this.hoverTimer);
+        this.onPointerDown = event => {
+            const link = WixNavigationPredictor.linkFor(event.target);
+            if (link) this.candidate(link, 'pointerdown');
+        };
+    }
+
+    static get ACTIONS() {
+        return ['prefetch', 'prerender'];
+    }
+
+    static get CAUSES() {
+        return ['hover', 'pointerdown', 'visible'];
+    }
+
+    // Valid rules only; `on` defaults to hover and pointerdown, `action` to prefetch
+    static compileRules(rules) {
+        if (!Array.isArray(rules)) {
+            console.warn('⚠️ Prediction rules must be an array, ignoring them');
+            return [];
+        }
+
+        return rules.map((rule, index) => {
+            const compiled = Object.assign({ on: ['hover', 'pointerdown'], action: 'prefetch' }, rule);
+            compiled.on = [].concat(compiled.on);
+
+            if (!compiled.selector || typeof compiled.selector !== 'string') {
+                console.warn(`⚠️ Prediction rule #${index} has no selector, skipping`);
+                return null;
+            }
+
+            if (!WixNavigationPredictor.ACTIONS.includes(compiled.action)) {
+                console.warn(`⚠️ Prediction rule #${index} has unknown action "${compiled.action}", skipping`);
+                return null;
+            }
+
+            if (!compiled.on.every(cause => WixNavigationPredictor.CAUSES.includes(cause))) {
+                console.warn(`⚠️ Prediction rule #${index} has an unknown "on" event, skipping`, compiled.on);
+                return null;
+            }
+
+            try {
+                document.querySelector(compiled.selector);
+            } catch (error) {
+                console.warn(`⚠️ Prediction rule #${index} has an invalid selector, skipping`, error);
+                return null;
+            }
+
+            return compiled;
+        }).filter(Boolean);
+    }
+
+    static supportsSpeculationRules() {
+        return typeof HTMLScriptElement !== 'undefined' &&
+            typeof HTMLScriptElement.supports === 'function' &&
+            HTMLScriptElement.supports('speculationrules');
+    }
+
+    static navigationEntry() {
+        return typeof performance.getEntriesByType === 'function'
+            ? performance.getEntriesByType('navigation')[0] || null
+            : null;
+    }
+
+    // How this page itself was served: 'prerendered', 'prefetched' or null
+    static readLanding() {
+        const entry = WixNavigationPredictor.navigationEntry();
+
+        if (!entry) return null;
+        if (entry.activationStart > 0) return 'prerendered';
+        if (entry.deliveryType === 'navigational-prefetch') return 'prefetched';
+        return null;
+    }
+
+    // Opened from another page of the site, the only arrivals a speculation
+    // could have served
+    static readInternal() {
+        const entry = WixNavigationPredictor.navigationEntry();
+        if (!entry || entry.type !== 'navigate' || !document.referrer) return false;
+
+        try {
+            return new URL(document.referrer).origin === window.location.origin;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    static linkFor(target) {
+        return target && typeof target.closest === 'function' ? target.closest('a[href]') : null;
+    }
+
+    // Absolute URL without the hash; null for other origins, non-http links
+    // and the current page
+    static normalize(href) {
+        try {
+            const url = new URL(href, window.location.href);
+            const current = new URL(window.location.href);
+            url.hash = '';
+            current.hash = '';
+
+            if (url.origin !== current.origin || !/^https?:$/.test(url.protocol)) return null;
+            if (url.href === current.href) return null;
+            return url.href;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Per page view: new rules for the new profile, visible links re-observed.
+    // Budgets and counts are per document
+    start(rules, policy = {}) {
+        this.rules = rules;
+
+        const connection = navigator.connection;
+        this.disabled = connection && connection.saveData ? 'save-data'
+            : policy.prefetchScale === 0 ? 'capability'
+                : null;
+
+        if (this.disabled) {
+            console.log(`🔮 Navigation prediction off (${this.disabled})`);
+            this.stop();
+            return;
+        }
+
+        const scale = policy.prefetchScale || 1;
+        this.budget = {
+            prefetch: Math.max(1, Math.round(this.maxPrefetch * scale)),
+            prerender: Math.max(1, Math.round(this.maxPrerender * scale))
+        };
+
+        this.listen();
+        this.observeVisibleLinks();
+    }
+
+    listen() {
+        if (this.listening) return;
+        this.listening = true;
+
+        document.addEventListener('pointerover', this.onPointerOver, true);
+        document.addEventListener('pointerout', this.onPointerOut, true);
+        document.addEventListener('pointerdown', this.onPointerDown, true);
+    }
+
+    observeVisibleLinks() {
+        if (this.observer) this.observer.disconnect();
+        this.observer = null;
+
+        const selectors = this.rules.filter(rule => rule.on.includes('visible')).map(rule => rule.selector);
+        if (selectors.length === 0 || !('IntersectionObserver' in window)) return;
+
+        this.observer = new IntersectionObserver(entries => entries.forEach(entry => {
+            if (!entry.isIntersecting) return;
+
+            this.observer.unobserve(entry.target);
+            const link = WixNavigationPredictor.linkFor(entry.target);
+            if (link) this.candidate(link, 'visible');
+        }), { rootMargin: '100px' });
+
+        document.querySelectorAll(selectors.join(', ')).forEach(link => this.observer.observe(link));
+    }
+
+    stop() {
+        document.removeEventListener('pointerover', this.onPointerOver, true);
+        document.removeEventListener('pointerout', this.onPointerOut, true);
+        document.removeEventListener('pointerdown', this.onPointerDown, true);
+        this.listening = false;
+
+        clearTimeout(this.hoverTimer);
+        if (this.observer) this.observer.disconnect();
+        this.observer = null;
+    }
+
+    // The first rule that matches the link and wants this cause decides
+    candidate(link, cause) {
+        if (this.disabled) return;
+
+        const rule = this.rules.find(item => item.on.includes(cause) && link.matches(item.selector));
+        if (rule) this.speculate(link.href, rule.action, cause);
+    }
+
+    speculate(href, action, cause) {
+        const url = WixNavigationPredictor.normalize(href);
+        if (!url) return false;
+
+        // A prefetched page may still be upgraded to a prerender
+        const earlier = this.speculated.get(url);
+        if (earlier && (earlier.action === action || earlier.action === 'prerender')) return false;
+
+        const used = Array.from(this.speculated.values()).filter(entry => entry.action === action).length;
+        if (used >= this.budget[action]) {
+            // Out of prerenders, a prefetch still helps
+            if (action === 'prerender' && !earlier) return this.speculate(href, 'prefetch', cause);
+
+            this.counts.overBudget++;
+            return false;
+        }
+
+        this.emit(url, action);
+        this.speculated.set(url, { url: url, action: action, cause: cause, time: Math.round(performance.now()) });
+        return true;
+    }
+
+    emit(url, action) {
+        if (WixNavigationPredictor.supportsSpeculationRules()) {
+            const script = document.createElement('script');
+            script.type = 'speculationrules';
+            script.textContent = JSON.stringify({ [action]: [{ source: 'list', urls: [url] }] });
+            script.setAttribute('data-wix-optimized', 'true');
+            document.head.appendChild(script);
+            return;
+        }
+
+        const link = document.createElement('link');
+        link.rel = 'prefetch';
+        link.href = url;
+        link.setAttribute('data-wix-optimized', 'true');
+        document.head.appendChild(link);
+    }
+
+    getStats() {
+        return {
+            disabled: this.disabled,
+            mode: WixNavigationPredictor.supportsSpeculationRules() ? 'speculation-rules' : 'prefetch-link',
+            rules: this.rules.length,
+            budget: Object.assign({}, this.budget),
+            speculated: Array.from(this.speculated.values()),
+            overBudget: this.counts.overBudget,
+            internal: this.internal,
+            landing: this.landing
+        };
+    }
+}
+
+// Export for external use
+window.WixNavigationPredictor = WixNavigationPredictor;
@@ -0,0 +1,197 @@
+// Field metrics reporter for the Wix optimizer elements.
+//
+// Records (optimization stats, vitals) are batched in memory and sent in one
+// request when the page is hidden or unloaded - navigator.sendBeacon first,
+// fetch with keepalive as a fallback. Batches that could not be handed off are
+// kept in localStorage and retried on the next page view. Only a sampled share
+// of page views report at all. The payload schema is documented in README.md.
+//
+// A page view may send several batches (hidden, visible again, unloaded), all
+// tagged with its `pageView` id and each ending with a snapshot; the last one
+// has the final numbers. Batches are kept under the 64 KB beacon limit.
+class WixMetricsReporter {
+    constructor(options = {}) {
+        this.endpoint = options.endpoint;
+        this.sampleRate = WixMetricsReporter.clampRate(options.sampleRate);
+        this.storageKey = options.storageKey || 'wix-optimizer-report-queue';
+        this.maxStoredBatches = options.maxStoredBatches || 20;
+        this.maxStoredAge = options.maxStoredAge || 24 * 60 * 60 * 1000;
+
+        // Called right before a flush so the batch ends with the latest numbers
+        this.collect = options.collect || null;
+
+        this.sampled = Math.random() < this.sampleRate;
+        this.records = [];
+        this.started = false;
+        this.startPageView();
+
+        this.onVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') this.flush('visibilitychange');
+        };
+        this.onPageHide = () => this.flush('pagehide');
+    }
+
+    static get SCHEMA_VERSION() {
+        return 1;
+    }
+
+    // sendBeacon and keepalive fetch refuse bodies over 64 KB
+    static get MAX_BATCH_BYTES() {
+        return 60000;
+    }
+
+    static clampRate(rate) {
+        const value = parseFloat(rate);
+        if (isNaN(value)) return 1;
+        return Math.min(1, Math.max(0, value));
+    }
+
+    start() {
+        if (this.started || !this.endpoint) return;
+        this.started = true;
+
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+        window.addEventListener('pagehide', this.onPageHide);
+
+        // Retry whatever previous page views failed to send
+        this.retryStored();
+    }
+
+    stop() {
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+        window.removeEventListener('pagehide', this.onPageHide);
+        this.started = false;
+    }
+
+    // Client-side navigations start a new page view with an id of its own
+    startPageView() {
+        this.pageView = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    add(type, data) {
+        if (!this.sampled) return;
+
+        this.records.push({
+            type: type,
+            time: Math.round(performance.now()),
+            data: data
+        });
+    }
+
+    // `pageUrl` names the page view the records belong to when it isn't the
+    // current URL, e.g. right after a client-side navigation
+    flush(reason, pageUrl) {
+        if (!this.sampled || !this.endpoint) return;
+
+        if (this.collect) {
+            this.add('snapshot', this.collect());
+        }
+
+        if (this.records.length === 0) return;
+
+        const batch = {
+            schema: WixMetricsReporter.SCHEMA_VERSION,
+            sentAt: new Date().toISOString(),
+            reason: reason,
+            pageView: this.pageView,
+            page: {
+                url: pageUrl || window.location.href,
+                referrer: document.referrer || null,
+                userAgent: navigator.userAgent
+            },
+            records: this.records
+        };
+        this.records = [];
+
+        // Over the limit the beacon would be dropped: shed the oldest records,
+        // the snapshot last
+        let body = JSON.stringify(batch);
+        while (body.length > WixMetricsReporter.MAX_BATCH_BYTES && batch.records.length > 1) {
+            batch.records.shift();
+            body = JSON.stringify(batch);
+        }
+        if (body.length > WixMetricsReporter.MAX_BATCH_BYTES) {
+            console.warn('⚠️ Metrics batch too large for a beacon, dropped');
+            return;
+        }
+
+        this.send(body);
+    }
+
+    send(body) {
+        // text/plain keeps the request CORS-simple, so beacons need no preflight
+        const blob = new Blob([body], { type: 'text/plain;charset=UTF-8' });
+
+        if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, blob)) {
+            return;
+        }
+
+        if (typeof fetch !== 'function') {
+            this.store(body);
+            return;
+        }
+
+        // Stored up front: the page may be gone before fetch settles
+        const storedAt = this.store(body);
+
+        fetch(this.endpoint, {
+            method: 'POST',
+            body: body,
+            keepalive: true,
+            credentials: 'omit',
+            headers: { 'Content-Type': 'text/plain;charset=UTF-8' }
+        }).then(response => {
+            if (response.ok) this.unstore(storedAt);
+        }).catch(() => {
+            // Stays queued for the next page view
+        });
+    }
+
+    // Retry queue
+
+    readStored() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    writeStored(entries) {
+        try {
+            if (entries.length > 0) {
+                localStorage.setItem(this.storageKey, JSON.stringify(entries));
+            } else {
+                localStorage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            // Storage full or disabled - drop the batch rather than break the page
+        }
+    }
+
+    store(body) {
+        const storedAt = Date.now() + Math.random();
+        const entries = this.readStored();
+
+        entries.push({ storedAt: storedAt, body: body });
+        this.writeStored(entries.slice(-this.maxStoredBatches));
+
+        return storedAt;
+    }
+
+    unstore(storedAt) {
+        this.writeStored(this.readStored().filter(entry => entry.storedAt !== storedAt));
+    }
+
+    retryStored() {
+        const cutoff = Date.now() - this.maxStoredAge;
+        const entries = this.readStored().filter(entry => entry.storedAt >= cutoff);
+
+        this.writeStored([]);
+        entries.forEach(entry => this.send(entry.body));
+    }
+}
+
+// Export for external use
+window.WixMetricsReporter = WixMetricsReporter;
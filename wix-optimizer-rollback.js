@@ -0,0 +1,274 @@
+// Safety net for the Wix optimizer elements.
+//
+// While an optimization is running (and for a while after it completes) the
+// guard watches for signs that it broke the page:
+//
+// - an uncaught error or unhandled rejection thrown from, or mentioning, a
+//   script the optimizer moved (removed, detached, replaced, injected, deferred)
+//   or a global one of those scripts provides ("React is not defined")
+// - a moved script that fails to load
+// - a widget whose script failed or never passed its ready check (a script
+//   still loading on a slow connection doesn't count)
+//
+// When that happens the element rolls back: scripts it took out of the page are
+// re-injected in their original order, and the URL is flagged so the optimizer
+// stays off there (for DISABLE_TTL) on later visits.
+class WixRollbackGuard {
+    constructor(host, options = {}) {
+        this.host = host;
+        this.hydrationTimeout = options.hydrationTimeout || 10000;
+        this.watchWindow = options.watchWindow || 15000;
+
+        this.originalScripts = [];
+        this.watching = false;
+        this.timers = [];
+
+        this.onError = event => {
+            const target = event.target;
+
+            // Resource errors don't bubble, but reach window in the capture phase
+            if (target && target !== window && target.tagName === 'SCRIPT') {
+                if (this.isMoved(target.src)) {
+                    this.trip({ type: 'load-error', message: 'Script failed to load', src: target.src });
+                }
+                return;
+            }
+
+            this.inspect('error', event.message, event.filename, event.error && event.error.stack);
+        };
+
+        this.onRejection = event => {
+            const reason = event.reason;
+            this.inspect('unhandledrejection', reason && reason.message ? reason.message : String(reason), null, reason && reason.stack);
+        };
+    }
+
+    static get STORAGE_KEY() {
+        return 'wix-optimizer-disabled';
+    }
+
+    static get DISABLE_TTL() {
+        return 7 * 24 * 60 * 60 * 1000;
+    }
+
+    static get MOVING_ACTIONS() {
+        return ['replaced', 'removed', 'detached', 'injected', 'deferred'];
+    }
+
+    start() {
+        if (this.watching) return;
+        this.watching = true;
+
+        this.snapshot();
+
+        window.addEventListener('error', this.onError, true);
+        window.addEventListener('unhandledrejection', this.onRejection);
+
+        // Slow devices and connections get longer, never less than the base
+        const timeScale = Math.max(1, this.host.getPolicy().timeScale);
+        this.timers.push(setTimeout(() => this.checkHydration(), Math.round(this.hydrationTimeout * timeScale)));
+    }
+
+    // Keep watching for a while after the optimization completes, then stand down
+    settle() {
+        this.timers.push(setTimeout(() => this.stop(), this.watchWindow));
+    }
+
+    stop() {
+        window.removeEventListener('error', this.onError, true);
+        window.removeEventListener('unhandledrejection', this.onRejection);
+
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+        this.watching = false;
+    }
+
+    // The page's script set before the optimizer touched anything, in document order
+    snapshot() {
+        this.originalScripts = Array.from(document.querySelectorAll('script[src]')).map(WixRollbackGuard.describe);
+    }
+
+    // A page script inserted after the snapshot
+    remember(script) {
+        if (this.originalScripts.some(original => original.src === script.src)) return;
+        this.originalScripts.push(WixRollbackGuard.describe(script));
+    }
+
+    static describe(script) {
+        return {
+            src: script.src,
+            inHead: script.parentNode === document.head,
+            type: script.getAttribute('type'),
+            crossOrigin: script.getAttribute('crossorigin'),
+            noModule: script.noModule
+        };
+    }
+
+    isMoved(src) {
+        const record = src && this.host.scriptActions.get(src);
+        return !!record && record.actions.some(action => WixRollbackGuard.MOVING_ACTIONS.includes(action));
+    }
+
+    movedScripts() {
+        return Array.from(this.host.scriptActions.keys()).filter(src => this.isMoved(src));
+    }
+
+    inspect(type, message, filename, stack) {
+        const text = `${filename || ''}\n${stack || ''}\n${message || ''}`;
+
+        // Thrown from, or with a stack through, one of the moved scripts
+        const src = this.movedScripts().find(url => {
+            const fileName = url.split('?')[0].split('/').pop();
+            return text.includes(url) || (fileName && text.includes(fileName));
+        });
+
+        if (src) {
+            this.trip({ type: type, message: message, src: src });
+            return;
+        }
+
+        // Mentions a global that a moved script provides
+        const global = this.movedGlobals().find(name =>
+            new RegExp(`\\b${name.replace(/[$]/g, '\\$&')}\\b`).test(message || '') &&
+            /not defined|undefined|null/i.test(message || '')
+        );
+
+        if (global) {
+            this.trip({ type: type, message: message, global: global });
+        }
+    }
+
+    movedGlobals() {
+        const globals = new Set();
+
+        this.movedScripts().forEach(src => {
+            const rule = this.host.manifest && this.host.manifest.match(src);
+            if (rule && rule.ready && rule.ready.global) {
+                globals.add(rule.ready.global.split('.')[0]);
+            }
+        });
+
+        return Array.from(globals);
+    }
+
+    checkHydration() {
+        const scheduler = this.host.scheduler;
+        if (!scheduler) return;
+
+        const stuck = [];
+
+        scheduler.nodes.forEach(node => {
+            if (!node.srcs.some(src => this.isMoved(src))) return;
+
+            // Loaded but never became ready, or failed outright. Queued and
+            // loading nodes are only slow, which a rollback wouldn't fix
+            if (['not-ready', 'failed'].includes(node.state)) {
+                stuck.push(node.id);
+            }
+        });
+
+        if (stuck.length > 0) {
+            this.trip({ type: 'hydration-timeout', message: `Widgets never hydrated: ${stuck.join(', ')}`, ids: stuck });
+        }
+    }
+
+    trip(cause) {
+        if (!this.watching) return;
+
+        this.stop();
+        this.host.rollback(cause);
+    }
+
+    // Re-inject, in original order, every original script of which no copy has
+    // run or is loading on the page (see WixScriptIdentity). async=false makes
+    // dynamically inserted scripts execute in insertion order
+    restoreScripts() {
+        const restored = [];
+
+        this.originalScripts.forEach(original => {
+            const copy = this.host.identity.find(original.src);
+            if (copy && (copy.state === 'loaded' || copy.element.isConnected)) return;
+
+            const script = document.createElement('script');
+            script.src = original.src;
+            script.async = false;
+            if (original.type) script.setAttribute('type', original.type);
+            if (original.crossOrigin !== null) script.setAttribute('crossorigin', original.crossOrigin);
+            if (original.noModule) script.noModule = true;
+            script.setAttribute('data-wix-optimized', 'restored');
+
+            (original.inHead ? document.head : document.body).appendChild(script);
+            this.host.identity.track(script, 'restored');
+            restored.push(original.src);
+        });
+
+        return restored;
+    }
+
+    // Per-URL "disable optimizer" flags
+
+    static pageKey(location = window.location) {
+        return `${location.origin}${location.pathname}`;
+    }
+
+    static readFlags() {
+        try {
+            const flags = JSON.parse(localStorage.getItem(WixRollbackGuard.STORAGE_KEY) || '{}');
+            return flags && typeof flags === 'object' ? flags : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    static writeFlags(flags) {
+        try {
+            if (Object.keys(flags).length > 0) {
+                localStorage.setItem(WixRollbackGuard.STORAGE_KEY, JSON.stringify(flags));
+            } else {
+                localStorage.removeItem(WixRollbackGuard.STORAGE_KEY);
+            }
+        } catch (error) {
+            // Storage disabled - the flag only lasts for this page view
+        }
+    }
+
+    static disable(cause, location = window.location) {
+        const flags = WixRollbackGuard.readFlags();
+        flags[WixRollbackGuard.pageKey(location)] = {
+            type: cause.type,
+            message: cause.message || null,
+            time: Date.now()
+        };
+        WixRollbackGuard.writeFlags(flags);
+    }
+
+    // The stored cause if the optimizer is disabled for this URL, otherwise null
+    static getDisabled(location = window.location) {
+        const flags = WixRollbackGuard.readFlags();
+        const key = WixRollbackGuard.pageKey(location);
+        const flag = flags[key];
+
+        if (flag && Date.now() - flag.time > WixRollbackGuard.DISABLE_TTL) {
+            delete flags[key];
+            WixRollbackGuard.writeFlags(flags);
+            return null;
+        }
+
+        return flag || null;
+    }
+
+    // Re-enable one URL, or every URL without an argument
+    static enable(location) {
+        if (!location) {
+            WixRollbackGuard.writeFlags({});
+            return;
+        }
+
+        const flags = WixRollbackGuard.readFlags();
+        delete flags[WixRollbackGuard.pageKey(location)];
+        WixRollbackGuard.writeFlags(flags);
+    }
+}
+
+// Export for external use
+window.WixRollbackGuard = WixRollbackGuard;
@@ -0,0 +1,259 @@
+// Dependency-graph-aware script scheduler.
+//
+// Every manifest rule is a node; a rule may declare `dependsOn` (ids of other
+// rules) and a `ready` check that tells when its script has actually
+// initialised:
+//
+//     { "id": "blog-viewer", "dependsOn": ["react"], ... }
+//     { "id": "react", "ready": { "global": "React" }, ... }
+//     { "id": "wix-module", "ready": { "module": "some/amd/module" }, ... }
+//
+// A node starts once all of its dependencies have loaded and passed their
+// ready check. Independent nodes load in parallel, up to `concurrency` at a
+// time. Cycles and dependencies on rules that matched nothing on the page are
+// reported instead of silently changing the order.
+class WixScriptScheduler {
+    constructor(options = {}) {
+        this.load = options.load || (() => Promise.resolve());
+        this.concurrency = options.concurrency || 2;
+        this.readyTimeout = options.readyTimeout || 5000;
+        this.readyInterval = options.readyInterval || 50;
+
+        // Aborting it stops every ready check, see WixOptimizerElement.teardown()
+        this.signal = options.signal || null;
+
+        this.nodes = new Map();
+        this.settling = new Map();
+        this.ignoredEdges = new Set();
+        this.issues = [];
+
+        this.active = 0;
+        this.waiting = [];
+    }
+
+    // Register a manifest rule and the script URLs it resolved to on this page.
+    // A rule without URLs is still known, so dependants can wait on its ready check
+    add(rule, srcs = []) {
+        this.nodes.set(rule.id, {
+            id: rule.id,
+            tier: rule.tier,
+            srcs: srcs,
+            dependsOn: rule.dependsOn || [],
+            ready: rule.ready || null,
+            state: 'pending',
+            startTime: null,
+            endTime: null
+        });
+    }
+
+    // Topological order of the given nodes (and everything they depend on).
+    // Edges that close a cycle are dropped so the rest can still be ordered
+    plan(ids) {
+        const order = [];
+        const visiting = new Set();
+        const visited = new Set();
+        const cycles = [];
+        const missing = [];
+
+        const visit = (id, path) => {
+            if (visited.has(id)) return;
+
+            visiting.add(id);
+            const node = this.nodes.get(id);
+
+            node.dependsOn.forEach(depId => {
+                const edge = `${id}->${depId}`;
+                if (this.ignoredEdges.has(edge)) return;
+
+                const dep = this.nodes.get(depId);
+                if (!dep || dep.srcs.length === 0) {
+                    missing.push({ id: id, dependsOn: depId, known: !!dep });
+                    return;
+                }
+
+                if (visiting.has(depId)) {
+                    this.ignoredEdges.add(edge);
+                    const start = path.indexOf(depId);
+                    cycles.push(start === -1 ? [id, depId] : [...path.slice(start), id, depId]);
+                    return;
+                }
+
+                visit(depId, [...path, id]);
+            });
+
+            visiting.delete(id);
+            visited.add(id);
+            order.push(id);
+        };
+
+        ids.forEach(id => {
+            const node = this.nodes.get(id);
+            if (node && node.srcs.length > 0) visit(id, []);
+        });
+
+        return { order: order, cycles: cycles, missing: missing };
+    }
+
+    // Load the given nodes; resolves when each has settled (loaded, failed or timed out)
+    run(ids) {
+        const { order, cycles, missing } = this.plan(ids);
+
+        cycles.forEach(cycle => {
+            this.report('cycle', `Dependency cycle ${cycle.join(' → ')}, ignoring the last edge`);
+        });
+
+        missing.forEach(entry => {
+            const reason = entry.known ? 'matched no script on the page' : 'is not in the manifest';
+            this.report('missing', `"${entry.id}" depends on "${entry.dependsOn}", which ${reason}`);
+        });
+
+        return Promise.all(order.map(id => this.settle(id))).then(() => undefined);
+    }
+
+    // Memoised promise for one node: dependencies first, then a free slot,
+    // then the load itself and its ready check
+    settle(id) {
+        if (this.settling.has(id)) return this.settling.get(id);
+
+        const node = this.nodes.get(id);
+        node.state = 'queued';
+
+        const dependencies = node.dependsOn
+            .filter(depId => !this.ignoredEdges.has(`${id}->${depId}`))
+            .map(depId => this.awaitDependency(depId));
+
+        const promise = Promise.all(dependencies)
+            .then(() => this.acquire())
+            .then(() => {
+                node.state = 'loading';
+                node.startTime = performance.now();
+                return this.load(node);
+            })
+            .then(() => this.waitUntilReady(node.ready))
+            .then(isReady => {
+                node.state = isReady ? 'loaded' : 'not-ready';
+                if (!isReady) {
+                    this.report('not-ready', `"${id}" loaded but its ready check never passed`);
+                }
+            })
+            .catch(error => {
+                node.state = 'failed';
+                this.report('failed', `"${id}" failed to load: ${error && error.message}`);
+            })
+            .then(() => {
+                node.endTime = performance.now();
+                this.release();
+            });
+
+        this.settling.set(id, promise);
+        return promise;
+    }
+
+    awaitDependency(depId) {
+        const dep = this.nodes.get(depId);
+
+        // Present on the page: load it (if nobody has yet) and wait for it
+        if (dep && dep.srcs.length > 0) return this.settle(depId);
+
+        // Known but absent: something else may still provide it, give its ready check a chance
+        if (dep && dep.ready) return this.waitUntilReady(dep.ready);
+
+        return Promise.resolve();
+    }
+
+    acquire() {
+        if (this.active < this.concurrency) {
+            this.active++;
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
+
+    waitUntilReady(check) {
+        if (!check) return Promise.resolve(true);
+
+        const deadline = performance.now() + this.readyTimeout;
+
+        return new Promise(resolve => {
+            let timer = null;
+            const done = isReady => {
+                clearTimeout(timer);
+                if (this.signal) this.signal.removeEventListener('abort', onAbort);
+                resolve(isReady);
+            };
+            const onAbort = () => done(false);
+            const poll = () => {
+                if (WixScriptScheduler.isReady(check)) {
+                    done(true);
+                } else if (performance.now() >= deadline) {
+                    done(false);
+                } else {
+                    timer = setTimeout(poll, this.readyInterval);
+                }
+            };
+
+            if (this.signal) {
+                if (this.signal.aborted) {
+                    resolve(false);
+                    return;
+                }
+                this.signal.addEventListener('abort', onAbort);
+            }
+            poll();
+        });
+    }
+
+    // { global: 'React' } - a (dotted) global is defined
+    // { module: 'name' }  - requirejs has defined the module
+    static isReady(check) {
+        try {
+            if (check.global) {
+                const value = check.global.split('.').reduce((target, key) => target == null ? target : target[key], window);
+                return value !== undefined && value !== null;
+            }
+
+            if (check.module) {
+                const requirejs = window.requirejs || window.require;
+                return !!(requirejs && typeof requirejs.defined === 'function' && requirejs.defined(check.module));
+            }
+        } catch (error) {
+            return false;
+        }
+
+        return true;
+    }
+
+    report(type, message) {
+        // Each run re-plans the graph, only report a problem once
+        if (this.issues.some(issue => issue.message === message)) return;
+
+        this.issues.push({ type: type, message: message });
+        console.warn(`⚠️ Script scheduler: ${message}`);
+    }
+
+    // Per-node state and timings for stats
+    getTimeline() {
+        return Array.from(this.nodes.values())
+            .filter(node => node.srcs.length > 0)
+            .map(node => ({
+                id: node.id,
+                tier: node.tier,
+                state: node.state,
+                dependsOn: node.dependsOn,
+                duration: node.startTime !== null && node.endTime !== null ? node.endTime - node.startTime : null
+            }));
+    }
+}
+
+// Export for external use
+window.WixScriptScheduler = WixScriptScheduler;
@@ -0,0 +1,91 @@
+// Page side of the companion service worker (wix-optimizer-sw.js).
+//
+// Registers the service worker when an element has a `service-worker`
+// attribute, sends it the manifest's critical scripts to precache and asks it
+// for the cache hit ratio of the current page, which ends up in
+// getOptimizationStats().serviceWorker.
+//
+// A service worker only controls pages from the next visit (or reload) on,
+// and only under its own path, so serve it from the site root. Its script has
+// to be same-origin: Wix-hosted sites can't serve it themselves.
+class WixServiceWorkerCompanion {
+    constructor(url) {
+        this.url = url;
+        this.registration = null;
+        this.error = null;
+        this.stats = null;
+    }
+
+    static isSupported() {
+        return 'serviceWorker' in navigator && window.isSecureContext !== false;
+    }
+
+    register() {
+        if (!WixServiceWorkerCompanion.isSupported()) {
+            this.error = 'unsupported';
+            return Promise.resolve(null);
+        }
+
+        return navigator.serviceWorker.register(this.url)
+            .then(registration => {
+                this.registration = registration;
+                return registration;
+            })
+            .catch(error => {
+                this.error = error && error.message ? error.message : String(error);
+                console.warn('⚠️ Cannot register the optimizer service worker:', error);
+                return null;
+            });
+    }
+
+    // The service worker serving this page, if there is one yet
+    static controller() {
+        return WixServiceWorkerCompanion.isSupported() ? navigator.serviceWorker.controller : null;
+    }
+
+    precache(urls) {
+        if (!urls.length) return;
+
+        // The first visit isn't controlled yet: hand the list to the new worker
+        const send = worker => worker && worker.postMessage({ type: 'wix-optimizer-precache', urls: urls });
+        const controller = WixServiceWorkerCompanion.controller();
+
+        if (controller) {
+            send(controller);
+        } else if (WixServiceWorkerCompanion.isSupported()) {
+            navigator.serviceWorker.ready.then(registration => send(registration.active)).catch(() => {});
+        }
+    }
+
+    // Ask for fresh hit counts; getStats() returns the last answer
+    refresh(timeout = 2000) {
+        const controller = WixServiceWorkerCompanion.controller();
+        if (!controller) return Promise.resolve(this.stats);
+
+        return new Promise(resolve => {
+            const channel = new MessageChannel();
+            const timer = setTimeout(() => resolve(this.stats), timeout);
+
+            channel.port1.onmessage = event => {
+                clearTimeout(timer);
+                this.stats = Object.assign({ updatedAt: Math.round(performance.now()) }, event.data);
+                resolve(this.stats);
+            };
+
+            controller.postMessage({ type: 'wix-optimizer-cache-stats' }, [channel.port2]);
+        });
+    }
+
+    getStats() {
+        return {
+            url: this.url,
+            registered: !!this.registration,
+            controlled: !!WixServiceWorkerCompanion.controller(),
+            error: this.error,
+            cache: this.stats
+        };
+    }
+}
+
+// Export for external use
+window.WixServiceWorkerCompanion = WixServiceWorkerCompanion;
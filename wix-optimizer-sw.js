@@ -0,0 +1,157 @@
+// Companion service worker for the Wix optimizer elements.
+//
+// Thunderbolt bundles on static.parastorage.com have a content hash in their
+// file name, so a cached copy never goes stale. This service worker:
+//
+// - serves hashed parastorage scripts cache-first, and unhashed ones
+//   stale-while-revalidate
+// - drops the old copy of a script when a new hash of it is cached
+// - precaches the URLs an element sends it (the manifest's critical scripts)
+// - counts cache hits and misses per page and answers the element's stats
+//   requests
+//
+// It also answers the WixWorkerProxy sync bridge, so one registration covers
+// both. The elements register it when given its URL:
+//
+//     <wix-js-optimizer service-worker="/wix-optimizer-sw.js"></wix-js-optimizer>
+importScripts('wix-optimizer-worker-sw.js');
+
+class WixOptimizerCache {
+    static get CACHE() {
+        return 'wix-optimizer-parastorage-v1';
+    }
+
+    static get HOST() {
+        return 'static.parastorage.com';
+    }
+
+    // main.7120cb19.bundle.min.js -> main.bundle.min.js, as in WixScriptManifest
+    static stripHash(url) {
+        const slash = url.lastIndexOf('/');
+        return url.slice(0, slash + 1) + url.slice(slash + 1).replace(/\.[0-9a-f]{8,}(?=\.)/gi, '');
+    }
+
+    static isHashed(url) {
+        const path = url.split('?')[0];
+        return WixOptimizerCache.stripHash(path) !== path;
+    }
+
+    static handles(request) {
+        if (request.method !== 'GET') return false;
+
+        const url = new URL(request.url);
+        return url.hostname === WixOptimizerCache.HOST && /\.js$/.test(url.pathname);
+    }
+
+    // Per page: { hits, misses }, plus totals since the worker started
+    static count(clientId, hit) {
+        const counts = WixOptimizerCache.counts;
+        const key = hit ? 'hits' : 'misses';
+
+        counts.total[key]++;
+        if (!clientId) return;
+
+        if (!counts.clients.has(clientId)) counts.clients.set(clientId, { hits: 0, misses: 0 });
+        counts.clients.get(clientId)[key]++;
+    }
+
+    static handleFetch(event) {
+        if (!WixOptimizerCache.handles(event.request)) return;
+
+        const url = event.request.url;
+        const hashed = WixOptimizerCache.isHashed(url);
+
+        event.respondWith(caches.open(WixOptimizerCache.CACHE).then(cache => cache.match(url).then(cached => {
+            WixOptimizerCache.count(event.clientId, !!cached);
+
+            if (cached && hashed) return cached;
+
+            const update = WixOptimizerCache.fetchAndStore(cache, url).catch(() => null);
+
+            if (cached) {
+                // Unhashed: answer from the cache, refresh it for next time
+                event.waitUntil(update);
+                return cached;
+            }
+
+            return update.then(response => response || fetch(event.request));
+        })));
+    }
+
+    // CORS fetch, so the cached copy is readable and not an opaque response
+    static fetchAndStore(cache, url) {
+        return fetch(new Request(url, { mode: 'cors', credentials: 'omit' })).then(response => {
+            if (!response.ok) return response;
+
+            return cache.put(url, response.clone())
+                .then(() => WixOptimizerCache.evictOlder(cache, url))
+                .then(() => response);
+        });
+    }
+
+    // Remove cached copies of the same script with another hash
+    static evictOlder(cache, url) {
+        const key = WixOptimizerCache.stripHash(url.split('?')[0]);
+
+        return cache.keys().then(requests => Promise.all(requests
+            .filter(request => request.url !== url && WixOptimizerCache.stripHash(request.url.split('?')[0]) === key)
+            .map(request => {
+                WixOptimizerCache.counts.evicted++;
+                return cache.delete(request);
+            })));
+    }
+
+    static precache(urls) {
+        return caches.open(WixOptimizerCache.CACHE).then(cache => Promise.all(Array.from(new Set(urls))
+            .filter(url => WixOptimizerCache.handles(new Request(url)))
+            .map(url => cache.match(url).then(cached => {
+                if (cached) return;
+
+                return WixOptimizerCache.fetchAndStore(cache, url)
+                    .then(response => {
+                        if (response.ok) WixOptimizerCache.counts.precached++;
+                    })
+                    .catch(() => {});
+            }))));
+    }
+
+    static getStats(clientId) {
+        const counts = WixOptimizerCache.counts;
+        const page = counts.clients.get(clientId) || { hits: 0, misses: 0 };
+        const ratio = (hits, misses) => hits + misses > 0 ? Math.round((hits / (hits + misses)) * 100) / 100 : null;
+
+        return caches.open(WixOptimizerCache.CACHE).then(cache => cache.keys()).then(requests => ({
+            hits: page.hits,
+            misses: page.misses,
+            hitRatio: ratio(page.hits, page.misses),
+            totalHitRatio: ratio(counts.total.hits, counts.total.misses),
+            precached: counts.precached,
+            evicted: counts.evicted,
+            entries: requests.length
+        }));
+    }
+
+    static handleMessage(event) {
+        const data = event.data || {};
+        const clientId = event.source ? event.source.id : null;
+
+        if (data.type === 'wix-optimizer-precache' && Array.isArray(data.urls)) {
+            event.waitUntil(WixOptimizerCache.precache(data.urls));
+        } else if (data.type === 'wix-optimizer-cache-stats' && event.ports[0]) {
+            event.waitUntil(WixOptimizerCache.getStats(clientId).then(stats => event.ports[0].postMessage(stats)));
+        }
+    }
+
+    // Caches of other versions of this worker
+    static removeOldCaches() {
+        return caches.keys().then(names => Promise.all(names
+            .filter(name => name.startsWith('wix-optimizer-parastorage-') && name !== WixOptimizerCache.CACHE)
+            .map(name => caches.delete(name))));
+    }
+}
+
+WixOptimizerCache.counts = { total: { hits: 0, misses: 0 }, clients: new Map(), precached: 0, evicted: 0 };
+
+self.addEventListener('activate', event => event.waitUntil(WixOptimizerCache.removeOldCaches()));
+self.addEventListener('fetch', event => WixOptimizerCache.handleFetch(event));
+self.addEventListener('message', event => WixOptimizerCache.handleMessage(event));
@@ -0,0 +1,223 @@
+// Cooperative main-thread scheduling for the Wix optimizer elements.
+//
+// Work is split into tasks that each run in a macrotask of their own, so input
+// handling and rendering get a turn in between. Tasks carry the priorities of
+// the Prioritized Task Scheduling API:
+//
+// - `user-blocking`: critical scripts
+// - `user-visible`: deferred scripts, and the default
+// - `background`: optional scripts and third-party tags
+//
+// The native `scheduler.postTask` and `scheduler.yield` are used where the
+// browser has them, otherwise a MessageChannel-driven queue that always runs
+// the most urgent task first. Long tasks are watched as well: while the main
+// thread is saturated, tasks below `user-blocking` wait a gap that grows with
+// how busy it has been. stop() rejects every task that hasn't run yet with an
+// AbortError, like an aborted native task.
+class WixTaskScheduler {
+    constructor(options = {}) {
+        this.pressureWindow = options.pressureWindow || 2000;
+        this.maxGap = options.maxGap || 250;
+
+        this.longTasks = [];
+        this.observer = null;
+
+        this.queues = { 'user-blocking': [], 'user-visible': [], background: [] };
+        this.pumping = false;
+        this.pumpTimer = null;
+        this.channel = null;
+
+        // Fallback tasks waiting out their delay, by timer
+        this.delayed = new Map();
+        this.controller = new AbortController();
+
+        this.counts = { tasks: 0, widened: 0 };
+    }
+
+    static get PRIORITIES() {
+        return ['user-blocking', 'user-visible', 'background'];
+    }
+
+    static hasNativePostTask() {
+        return typeof window.scheduler === 'object' && window.scheduler !== null && typeof window.scheduler.postTask === 'function';
+    }
+
+    static hasNativeYield() {
+        return WixTaskScheduler.hasNativePostTask() && typeof window.scheduler.yield === 'function';
+    }
+
+    static normalizePriority(priority) {
+        if (priority === undefined) return 'user-visible';
+        if (WixTaskScheduler.PRIORITIES.includes(priority)) return priority;
+
+        console.warn(`⚠️ Unknown task priority "${priority}", using user-visible`);
+        return 'user-visible';
+    }
+
+    start() {
+        if (this.controller.signal.aborted) this.controller = new AbortController();
+        if (this.observer || !('PerformanceObserver' in window)) return;
+
+        const supported = PerformanceObserver.supportedEntryTypes || [];
+        if (!supported.includes('longtask')) return;
+
+        try {
+            this.observer = new PerformanceObserver(list => list.getEntries().forEach(entry => {
+                this.longTasks.push({ startTime: entry.startTime, duration: entry.duration });
+            }));
+            this.observer.observe({ type: 'longtask', buffered: true });
+        } catch (error) {
+            console.warn('⚠️ Cannot observe long tasks, task gaps stay fixed:', error);
+            this.observer = null;
+        }
+    }
+
+    stop() {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+
+        // Native tasks reject on abort; fallback ones are rejected here
+        this.controller.abort();
+
+        const error = WixTaskScheduler.abortError();
+        const pending = Array.from(this.delayed.values());
+        this.delayed.forEach((task, timer) => clearTimeout(timer));
+        this.delayed.clear();
+
+        WixTaskScheduler.PRIORITIES.forEach(priority => {
+            pending.push(...this.queues[priority]);
+            this.queues[priority] = [];
+        });
+        pending.forEach(task => task.reject(error));
+
+        clearTimeout(this.pumpTimer);
+        this.pumping = false;
+    }
+
+    static abortError() {
+        return new DOMException('The task scheduler was stopped', 'AbortError');
+    }
+
+    // Share of the last `pressureWindow` ms spent in long tasks, 0 to 1
+    getSaturation(now = performance.now()) {
+        const since = now - this.pressureWindow;
+        this.longTasks = this.longTasks.filter(task => task.startTime + task.duration > since);
+
+        const busy = this.longTasks.reduce((total, task) => {
+            return total + Math.min(task.duration, task.startTime + task.duration - since);
+        }, 0);
+
+        return Math.min(1, busy / this.pressureWindow);
+    }
+
+    // Extra wait before a task: none for user-blocking or a quiet main thread,
+    // twice as long for background work
+    getGap(priority) {
+        if (priority === 'user-blocking') return 0;
+
+        const saturation = this.getSaturation();
+        if (saturation < 0.25) return 0;
+
+        const gap = Math.round(saturation * this.maxGap);
+        return priority === 'background' ? gap * 2 : gap;
+    }
+
+    // Run `callback` in a task of its own; resolves with what it returns
+    postTask(callback, options = {}) {
+        const priority = WixTaskScheduler.normalizePriority(options.priority);
+        const gap = this.getGap(priority);
+        const delay = (options.delay || 0) + gap;
+
+        if (this.controller.signal.aborted) return Promise.reject(WixTaskScheduler.abortError());
+
+        this.counts.tasks++;
+        if (gap > 0) this.counts.widened++;
+
+        if (WixTaskScheduler.hasNativePostTask()) {
+            return window.scheduler.postTask(callback, { priority: priority, delay: delay, signal: this.controller.signal });
+        }
+
+        return new Promise((resolve, reject) => {
+            const task = { callback: callback, resolve: resolve, reject: reject };
+
+            if (delay > 0) {
+                const timer = setTimeout(() => {
+                    this.delayed.delete(timer);
+                    this.enqueue(priority, task);
+                }, delay);
+                this.delayed.set(timer, task);
+            } else {
+                this.enqueue(priority, task);
+            }
+        });
+    }
+
+    // Let the browser handle input and paint before continuing:
+    //     await element.yield();
+    yield(priority) {
+        const normalized = WixTaskScheduler.normalizePriority(priority);
+
+        // scheduler.yield continues ahead of other tasks of the same priority
+        if (WixTaskScheduler.hasNativeYield() && normalized !== 'background' && this.getGap(normalized) === 0) {
+            return window.scheduler.yield();
+        }
+
+        return this.postTask(() => undefined, { priority: normalized });
+    }
+
+    // Fallback queue
+
+    enqueue(priority, task) {
+        this.queues[priority].push(task);
+        this.pump();
+    }
+
+    pump() {
+        if (this.pumping) return;
+        this.pumping = true;
+
+        // A message runs as soon as the current task ends, without setTimeout's clamping
+        if (!this.channel && typeof MessageChannel === 'function') {
+            this.channel = new MessageChannel();
+            this.channel.port1.onmessage = () => this.runNext();
+        }
+
+        if (this.channel) {
+            this.channel.port2.postMessage(null);
+        } else {
+            this.pumpTimer = setTimeout(() => this.runNext(), 0);
+        }
+    }
+
+    // One task per macrotask, most urgent first
+    runNext() {
+        this.pumping = false;
+
+        const priority = WixTaskScheduler.PRIORITIES.find(name => this.queues[name].length > 0);
+        if (!priority) return;
+
+        const task = this.queues[priority].shift();
+        try {
+            task.resolve(task.callback());
+        } catch (error) {
+            task.reject(error);
+        }
+
+        if (WixTaskScheduler.PRIORITIES.some(name => this.queues[name].length > 0)) this.pump();
+    }
+
+    getStats() {
+        return {
+            native: WixTaskScheduler.hasNativePostTask(),
+            saturation: Math.round(this.getSaturation() * 100) / 100,
+            gap: this.getGap('user-visible'),
+            tasks: this.counts.tasks,
+            widened: this.counts.widened
+        };
+    }
+}
+
+// Export for external use
+window.WixTaskScheduler = WixTaskScheduler;
@@ -0,0 +1,352 @@
+// Consent-gated third-party tags for the Wix optimizer elements.
+//
+// Manifest rules with a consent `category` (functional, analytics or
+// advertising) are third-party tags: GTM, Sentry, pixels, chat widgets. Their
+// scripts are held back until the visitor's consent policy allows the category,
+// then released when the browser is idle, in control arms too. Consent comes
+// from Wix's consent policy manager (`window.consentPolicyManager`, provided by
+// the consentPolicy chunk) or from `element.setConsent(policy)` for sites with
+// their own banner. Without either the tags stay held.
+//
+// Only tags marked up to wait can be held, inline snippets included:
+//
+//     <script type="text/plain" data-wix-category="analytics">/* GTM snippet */</script>
+//
+// A <script src> matching a governed rule can't: the browser starts a script
+// when it is inserted, and taking it out of the page again doesn't stop it.
+// Those are recorded as `unheld` and their tag as `ran`.
+//
+// A rule's `facade` installs a stand-in global while a held tag with a src
+// matching the rule waits, so page code calling it never breaks (inline
+// snippets set up their own globals, and some skip loading when one exists):
+//
+//     "facade": { "global": "dataLayer", "type": "array" }
+//     "facade": { "global": "fbq", "type": "function" }
+//     "facade": { "global": "Sentry", "type": "object", "methods": ["init", "captureException"] }
+//
+// Arrays are queues the library drains itself, and so are functions: they are
+// shaped like the vendor snippet's stub (`queue`, `push`, `loaded`, `version`)
+// and pass calls on to `callMethod` once the library has set it. Calls to
+// object facades are queued and replayed on the real global once the library
+// has replaced the stand-in. Categories and facades are validated by
+// WixScriptManifest.compileRule.
+class WixThirdPartyGovernor {
+    constructor(host, options = {}) {
+        this.host = host;
+        this.consentTimeout = options.consentTimeout || 15000;
+        this.pollInterval = options.pollInterval || 250;
+
+        this.consent = null;
+        this.consentSource = null;
+        this.tags = new Map();
+        this.placeholders = new Set();
+        this.facades = new Map();
+        this.timers = [];
+        this.started = false;
+
+        this.onConsentChanged = event => {
+            const policy = event.detail && event.detail.policy;
+            this.setConsent(policy || WixThirdPartyGovernor.readWixPolicy(), 'wix');
+        };
+    }
+
+    // Third-party rules both elements add to their default manifests
+    static get defaultRules() {
+        return [
+            {
+                id: 'gtm',
+                tier: 'optional',
+                category: 'analytics',
+                pattern: ['www.googletagmanager.com/gtm.js', 'www.googletagmanager.com/gtag/js'],
+                facade: { global: 'dataLayer', type: 'array' },
+                worker: false
+            },
+            {
+                id: 'sentry',
+                tier: 'optional',
+                category: 'analytics',
+                pattern: 'browser.sentry-cdn.com/*/bundle.tracing.es5.min.js',
+                facade: {
+                    global: 'Sentry',
+                    type: 'object',
+                    methods: ['init', 'captureException', 'captureMessage', 'captureEvent', 'addBreadcrumb', 'setUser', 'setTag', 'setTags', 'setExtra', 'setContext', 'configureScope', 'withScope']
+                },
+                worker: true
+            },
+            {
+                id: 'facebook-pixel',
+                tier: 'optional',
+                category: 'advertising',
+                pattern: 'connect.facebook.net/*/fbevents.js',
+                facade: { global: 'fbq', type: 'function' }
+            },
+            {
+                id: 'chat',
+                tier: 'optional',
+                category: 'functional',
+                pattern: ['embed.tawk.to/**', 'widget.intercom.io/**', 'js.driftt.com/**']
+            }
+        ];
+    }
+
+    // Rules without a category, or essential ones, are not third-party tags
+    static isGoverned(rule) {
+        return !!rule && !!rule.category && rule.category !== 'essential';
+    }
+
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        this.watchConsent();
+    }
+
+    // Hold the marked-up tags on the page and note the governed scripts that
+    // run regardless; runs again for every page view
+    scan() {
+        this.host.manifest.rules.filter(WixThirdPartyGovernor.isGoverned).forEach(rule => this.getTag(rule));
+
+        document.querySelectorAll('script[src]').forEach(script => this.recordScript(script));
+        document.querySelectorAll('script[type="text/plain"][data-wix-category]').forEach(script => this.holdPlaceholder(script));
+
+        // Consent may already be known from an earlier page view
+        if (this.consent) this.host.scheduleIdle(() => this.releaseAllowed(), 5000, 1000);
+    }
+
+    getTag(rule) {
+        if (!this.tags.has(rule.id)) {
+            this.tags.set(rule.id, { id: rule.id, category: rule.category, rule: rule, srcs: [], placeholders: [], state: 'held' });
+        }
+
+        return this.tags.get(rule.id);
+    }
+
+    stop() {
+        document.removeEventListener('consentPolicyChanged', this.onConsentChanged);
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+        this.started = false;
+    }
+
+    // A governed script already in the page runs whatever we do: record it,
+    // and replay its facade once it has loaded. False when it isn't governed
+    recordScript(script) {
+        // Worker-tier tags never run on their own, see WixWorkerProxy
+        if (script.type === WixWorkerProxy.SCRIPT_TYPE) return false;
+
+        const rule = this.host.manifest.match(script.src);
+        if (!WixThirdPartyGovernor.isGoverned(rule)) return false;
+
+        const tag = this.getTag(rule);
+        if (tag.srcs.includes(script.src)) return true;
+        tag.srcs.push(script.src);
+
+        if (tag.state === 'held') {
+            tag.state = 'ran';
+            console.warn(`⚠️ ${rule.id} is a plain script and runs before consent, mark it up as type="text/plain" to hold it`);
+        }
+        this.host.recordAction(script.src, 'unheld');
+
+        if (rule.facade) script.addEventListener('load', () => this.replayFacade(rule.facade), { once: true });
+        return true;
+    }
+
+    holdPlaceholder(script) {
+        if (this.placeholders.has(script)) return;
+        this.placeholders.add(script);
+
+        const category = script.getAttribute('data-wix-category');
+        if (!WixScriptManifest.CATEGORIES.includes(category)) {
+            console.warn(`⚠️ Unknown consent category "${category}" on a held tag, leaving it inert`);
+            return;
+        }
+
+        const rule = script.hasAttribute('src') ? this.host.manifest.match(script.src) : null;
+        if (rule && rule.facade) this.installFacade(rule.facade);
+
+        const id = `${category}-tag-${this.tags.size}`;
+        this.tags.set(id, { id: id, category: category, rule: rule, srcs: [], placeholders: [script], state: 'held' });
+    }
+
+    // Consent
+
+    watchConsent() {
+        document.addEventListener('consentPolicyChanged', this.onConsentChanged);
+
+        // The consent policy chunk is deferred, wait for its manager to appear
+        const deadline = performance.now() + this.consentTimeout;
+        const poll = () => {
+            if (this.consent) return;
+
+            const policy = WixThirdPartyGovernor.readWixPolicy();
+            if (policy) {
+                this.setConsent(policy, 'wix');
+            } else if (performance.now() < deadline) {
+                this.timers.push(setTimeout(poll, this.pollInterval));
+            } else {
+                console.warn('⚠️ No consent policy found, third-party tags stay held (see setConsent)');
+            }
+        };
+        poll();
+    }
+
+    // { essential, functional, analytics, advertising } from Wix, or null
+    static readWixPolicy() {
+        try {
+            const manager = window.consentPolicyManager;
+            const current = manager && typeof manager.getCurrentConsentPolicy === 'function'
+                ? manager.getCurrentConsentPolicy()
+                : null;
+            return current && current.policy ? current.policy : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setConsent(policy, source = 'page') {
+        if (!policy || typeof policy !== 'object') return;
+
+        this.consent = Object.assign({ essential: true }, policy);
+        this.consentSource = source;
+
+        const allowed = WixScriptManifest.CATEGORIES.filter(category => this.consent[category]);
+        console.log(`🍪 Consent (${source}): ${allowed.join(', ') || 'none'}`);
+
+        this.host.scheduleIdle(() => this.releaseAllowed(), 5000, 1000);
+    }
+
+    // Release
+
+    releaseAllowed() {
+        if (!this.consent) return;
+
+        this.tags.forEach(tag => {
+            if (tag.state === 'held' && this.consent[tag.category]) this.release(tag);
+        });
+    }
+
+    release(tag) {
+        tag.state = 'released';
+        if (tag.placeholders.length === 0) return Promise.resolve();
+
+        console.log(`🔓 Releasing ${tag.id} (${tag.category})`);
+
+        return Promise.all(tag.placeholders.map(placeholder => this.releasePlaceholder(placeholder)));
+    }
+
+    // Run a held tag; one with a src whose rule sets `worker` goes to the
+    // worker unless we only measure, and the rule's facade calls are replayed
+    // once it has loaded
+    releasePlaceholder(placeholder) {
+        const rule = placeholder.hasAttribute('src') ? this.host.manifest.match(placeholder.src) : null;
+        const replay = () => {
+            if (rule && rule.facade) this.replayFacade(rule.facade);
+        };
+
+        if (rule && rule.worker && !this.host.isPassive()) return this.host.loadInWorker(placeholder.src).then(replay);
+
+        const script = WixThirdPartyGovernor.activate(placeholder);
+        this.host.recordSwap(placeholder, script);
+        if (!script.src) {
+            replay();
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            script.addEventListener('load', resolve, { once: true });
+            script.addEventListener('error', resolve, { once: true });
+        }).then(replay);
+    }
+
+    // Swap a type="text/plain" placeholder for a script that runs
+    static activate(placeholder) {
+        const script = document.createElement('script');
+
+        Array.from(placeholder.attributes).forEach(attribute => {
+            if (attribute.name === 'type' || attribute.name === 'data-wix-category') return;
+            script.setAttribute(attribute.name, attribute.value);
+        });
+
+        const type = placeholder.getAttribute('data-type');
+        if (type) script.setAttribute('type', type);
+        if (!placeholder.src) script.text = placeholder.text;
+        script.setAttribute('data-wix-optimized', 'released');
+
+        placeholder.replaceWith(script);
+        return script;
+    }
+
+    // Facades
+
+    installFacade(facade) {
+        if (!facade.global || window[facade.global] !== undefined) return;
+
+        const calls = [];
+        let stub;
+
+        if (facade.type === 'array') {
+            stub = [];
+        } else if (facade.type === 'function') {
+            // The vendor snippet's stub: the library adopts it, sets callMethod
+            // and drains the queue itself
+            stub = function (...args) {
+                if (stub.callMethod) {
+                    stub.callMethod(...args);
+                } else {
+                    calls.push(args);
+                }
+            };
+            stub.push = stub;
+            stub.loaded = true;
+            stub.version = '2.0';
+            stub.queue = calls;
+        } else {
+            stub = {};
+            (facade.methods || []).forEach(method => {
+                stub[method] = (...args) => {
+                    calls.push({ method: method, args: args });
+                };
+            });
+        }
+
+        window[facade.global] = stub;
+        this.facades.set(facade.global, { stub: stub, calls: calls });
+    }
+
+    // Hand queued calls to the real library once it has replaced the stand-in
+    replayFacade(facade) {
+        const installed = this.facades.get(facade.global);
+        if (!installed || facade.type === 'array') return;
+
+        const real = window[facade.global];
+        if (!real || real === installed.stub) return;
+
+        installed.calls.splice(0).forEach(call => {
+            try {
+                if (Array.isArray(call)) {
+                    real(...call);
+                } else if (typeof real[call.method] === 'function') {
+                    real[call.method](...call.args);
+                }
+            } catch (error) {
+                console.warn(`⚠️ Replaying a ${facade.global} call failed:`, error);
+            }
+        });
+    }
+
+    getStats() {
+        return {
+            consent: this.consent,
+            consentSource: this.consentSource,
+            tags: Array.from(this.tags.values()).map(tag => ({
+                id: tag.id,
+                category: tag.category,
+                state: tag.state,
+                scripts: tag.srcs.length + tag.placeholders.length
+            }))
+        };
+    }
+}
+
+// Export for external use
+window.WixThirdPartyGovernor = WixThirdPartyGovernor;
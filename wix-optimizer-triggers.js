@@ -0,0 +1,271 @@
+// Per-script load triggers for the Wix optimizer elements.
+//
+// A manifest rule can say when its script should load:
+//
+//     "trigger": { "type": "visible", "selector": "[data-hook=\"post-list\"]", "rootMargin": "200px" }
+//     "trigger": { "type": "interaction", "selector": "form", "events": ["pointerdown", "focusin", "keydown"] }
+//     "trigger": { "type": "idle", "timeout": 5000 }
+//     "trigger": { "type": "timeout", "delay": 3000 }
+//     "trigger": "never"
+//
+// `visible` fires when one of the widget's own containers intersects the
+// viewport, including containers inserted after the trigger was armed;
+// `interaction` on the first matching event inside the selector. Until the
+// script has hydrated, that event and any clicks inside the selector are held
+// back from the page and replayed once it has (or after `replayTimeout`, or
+// right away when the trigger is disarmed), so they reach the widget instead
+// of getting lost.
+//
+// Triggers are validated by WixScriptManifest.compileTrigger. Their waits are
+// multiplied by `timeScale`, see WixCapabilityProfiler.
+class WixScriptTriggers {
+    static get MAX_HELD_EVENTS() {
+        return 20;
+    }
+
+    constructor(options = {}) {
+        this.replayTimeout = options.replayTimeout || 3000;
+        this.timeScale = options.timeScale || 1;
+        this.threshold = options.threshold !== undefined ? options.threshold : 0.1;
+
+        this.armed = new Map();
+        this.fired = [];
+        this.replaying = false;
+    }
+
+    // Wait for the trigger, then call load(); load resolves once the script has
+    // loaded and hydrated
+    arm(id, trigger, load) {
+        this.disarm(id);
+
+        const entry = { id: id, trigger: trigger, load: load, fired: false, cleanups: [] };
+        this.armed.set(id, entry);
+
+        switch (trigger.type) {
+            case 'visible':
+                this.armVisible(entry);
+                break;
+            case 'interaction':
+                this.armInteraction(entry);
+                break;
+            case 'idle':
+                this.armIdle(entry);
+                break;
+            case 'timeout': {
+                const timer = setTimeout(() => this.fire(id, 'timeout'), this.scale(trigger.delay || 3000));
+                entry.cleanups.push(() => clearTimeout(timer));
+                break;
+            }
+            case 'never':
+            default:
+                break;
+        }
+    }
+
+    armVisible(entry) {
+        const selector = entry.trigger.selector;
+        const watched = new WeakSet();
+        let observe;
+
+        if ('IntersectionObserver' in window) {
+            const observer = new IntersectionObserver((entries) => {
+                if (entries.some(item => item.isIntersecting)) {
+                    this.fire(entry.id, 'visible');
+                }
+            }, { threshold: entry.trigger.threshold || this.threshold, rootMargin: entry.trigger.rootMargin || '0px' });
+
+            entry.cleanups.push(() => observer.disconnect());
+            observe = container => observer.observe(container);
+        } else {
+            // Fallback for older browsers: a while after a container shows up
+            let timer = null;
+            entry.cleanups.push(() => clearTimeout(timer));
+            observe = () => {
+                if (!timer) timer = setTimeout(() => this.fire(entry.id, 'visible'), this.scale(2000));
+            };
+        }
+
+        const watch = container => {
+            if (watched.has(container)) return;
+            watched.add(container);
+            observe(container);
+        };
+
+        document.querySelectorAll(selector).forEach(watch);
+
+        // Thunderbolt renders most widgets after the trigger is armed
+        const mutations = new MutationObserver(records => records.forEach(record => record.addedNodes.forEach(node => {
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+            if (node.matches(selector)) watch(node);
+            node.querySelectorAll(selector).forEach(watch);
+        })));
+        mutations.observe(document.documentElement, { childList: true, subtree: true });
+        entry.cleanups.push(() => mutations.disconnect());
+    }
+
+    armInteraction(entry) {
+        const selector = entry.trigger.selector;
+        const events = entry.trigger.events || ['pointerdown', 'focusin', 'keydown'];
+
+        entry.queue = [];
+        entry.hydrated = false;
+
+        // Stopped, not cancelled: focus moves and typed text still lands
+        const onTrigger = (event) => {
+            if (this.replaying || entry.hydrated || !WixScriptTriggers.matches(event.target, selector)) return;
+
+            event.stopImmediatePropagation();
+            this.hold(entry, event);
+            this.fire(entry.id, event.type);
+        };
+
+        // Clicks that land before hydration would hit a dead widget
+        const onClick = (event) => {
+            if (this.replaying || !entry.fired || entry.hydrated) return;
+            if (!WixScriptTriggers.matches(event.target, selector)) return;
+
+            event.preventDefault();
+            event.stopImmediatePropagation();
+            this.hold(entry, event);
+        };
+
+        events.forEach(type => document.addEventListener(type, onTrigger, true));
+        document.addEventListener('click', onClick, true);
+
+        entry.cleanups.push(() => {
+            events.forEach(type => document.removeEventListener(type, onTrigger, true));
+            document.removeEventListener('click', onClick, true);
+        });
+    }
+
+    hold(entry, event) {
+        if (entry.queue.length < WixScriptTriggers.MAX_HELD_EVENTS) entry.queue.push(event);
+    }
+
+    armIdle(entry) {
+        const timeout = this.scale(entry.trigger.timeout || 5000);
+
+        if ('requestIdleCallback' in window) {
+            const handle = requestIdleCallback(() => this.fire(entry.id, 'idle'), { timeout: timeout });
+            entry.cleanups.push(() => cancelIdleCallback(handle));
+        } else {
+            // Fallback for browsers without requestIdleCallback, still no
+            // later than the trigger's timeout
+            const timer = setTimeout(() => this.fire(entry.id, 'idle'), Math.min(this.scale(800), timeout));
+            entry.cleanups.push(() => clearTimeout(timer));
+        }
+    }
+
+    scale(ms) {
+        return Math.round(ms * this.timeScale);
+    }
+
+    fire(id, cause) {
+        const entry = this.armed.get(id);
+        if (!entry || entry.fired) return;
+
+        entry.fired = true;
+        this.fired.push({ id: id, type: entry.trigger.type, cause: cause, time: Math.round(performance.now()) });
+
+        // Interaction triggers keep their click guard until the replay
+        if (entry.trigger.type !== 'interaction') {
+            this.cleanup(entry);
+        }
+
+        const loaded = Promise.resolve().then(() => entry.load()).catch(() => {});
+
+        if (entry.trigger.type === 'interaction') {
+            let timer = null;
+            const timeout = new Promise(resolve => {
+                timer = setTimeout(resolve, this.replayTimeout);
+            });
+            entry.cleanups.push(() => clearTimeout(timer));
+            Promise.race([loaded, timeout]).then(() => this.replay(entry));
+        }
+    }
+
+    // Dispatch copies of the held events now that the widget can handle them
+    replay(entry) {
+        if (entry.hydrated) return;
+        entry.hydrated = true;
+        this.cleanup(entry);
+
+        const queue = entry.queue.splice(0);
+
+        this.replaying = true;
+        try {
+            queue.forEach(event => {
+                const target = event.target;
+                if (!target || !target.isConnected) return;
+
+                if (event.type === 'click' && typeof target.click === 'function') {
+                    // click() also runs default actions (submit, toggle, follow)
+                    target.click();
+                } else if (event.type === 'focusin' && document.activeElement === target) {
+                    target.dispatchEvent(WixScriptTriggers.cloneEvent(event));
+                } else if (event.type !== 'focusin') {
+                    target.dispatchEvent(WixScriptTriggers.cloneEvent(event));
+                }
+            });
+        } finally {
+            this.replaying = false;
+        }
+    }
+
+    static matches(target, selector) {
+        return !!(target && typeof target.closest === 'function' && target.closest(selector));
+    }
+
+    // Same constructor and properties; falls back to a plain Event
+    static cloneEvent(event) {
+        const init = {};
+        for (const key in event) {
+            if (typeof event[key] !== 'function') init[key] = event[key];
+        }
+
+        try {
+            return new event.constructor(event.type, init);
+        } catch (error) {
+            return new Event(event.type, { bubbles: event.bubbles, cancelable: event.cancelable });
+        }
+    }
+
+    cleanup(entry) {
+        entry.cleanups.forEach(cleanup => cleanup());
+        entry.cleanups = [];
+    }
+
+    isArmed(id) {
+        return this.armed.has(id);
+    }
+
+    hasFired(id) {
+        const entry = this.armed.get(id);
+        return !!entry && entry.fired;
+    }
+
+    disarm(id) {
+        const entry = this.armed.get(id);
+        if (!entry) return;
+
+        // Events held for a widget that is still loading go to the page now
+        if (entry.fired && entry.queue && !entry.hydrated) {
+            this.replay(entry);
+        } else {
+            this.cleanup(entry);
+        }
+        this.armed.delete(id);
+    }
+
+    disconnect() {
+        Array.from(this.armed.keys()).forEach(id => this.disarm(id));
+    }
+
+    // Triggers that fired so far, in order
+    getFired() {
+        return this.fired.slice();
+    }
+}
+
+// Export for external use
+window.WixScriptTriggers = WixScriptTriggers;
@@ -0,0 +1,188 @@
+// Core Web Vitals collection for the Wix optimizer elements.
+//
+// Collects FCP, LCP, CLS, INP and TBT with PerformanceObserver (buffered, so
+// entries from before the element connected are included) plus resource and
+// long-animation-frame timings, which attribute fetch and execution time to
+// the individual scripts the optimizer touched.
+//
+// After a client-side navigation a new collector is started with `since` set
+// to the navigation time, so only entries of the new page view count (FCP and
+// LCP stay null: browsers report them for the first page only).
+class WixVitalsCollector {
+    constructor(options = {}) {
+        this.since = options.since || 0;
+        this.observers = [];
+        this.started = false;
+
+        this.fcp = null;
+        this.lcp = null;
+        this.lcpElement = null;
+
+        // CLS uses session windows: shifts less than 1s apart, at most 5s long
+        this.cls = 0;
+        this.clsSession = { value: 0, firstTime: 0, lastTime: 0 };
+
+        // INP: longest duration per interaction id
+        this.interactions = new Map();
+
+        this.longTasks = [];
+        this.resources = new Map();
+        this.scriptExecution = new Map();
+    }
+
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        this.observe('paint', entry => {
+            if (entry.name === 'first-contentful-paint') this.fcp = entry.startTime;
+        });
+
+        this.observe('largest-contentful-paint', entry => {
+            this.lcp = entry.renderTime || entry.loadTime || entry.startTime;
+            this.lcpElement = entry.element ? WixVitalsCollector.describeElement(entry.element) : null;
+        });
+
+        this.observe('layout-shift', entry => this.addLayoutShift(entry));
+
+        this.observe('event', entry => this.addInteraction(entry), { durationThreshold: 40 });
+        this.observe('first-input', entry => this.addInteraction(entry));
+
+        this.observe('longtask', entry => {
+            this.longTasks.push({ startTime: entry.startTime, duration: entry.duration });
+        });
+
+        // Long animation frames name the scripts that ran in them
+        this.observe('long-animation-frame', entry => {
+            (entry.scripts || []).forEach(script => {
+                if (!script.sourceURL) return;
+                const total = this.scriptExecution.get(script.sourceURL) || 0;
+                this.scriptExecution.set(script.sourceURL, total + script.duration);
+            });
+        });
+
+        this.observe('resource', entry => {
+            if (entry.initiatorType === 'script' || entry.initiatorType === 'link') {
+                this.resources.set(entry.name, entry);
+            }
+        });
+    }
+
+    observe(type, callback, options = {}) {
+        if (!('PerformanceObserver' in window)) return;
+
+        const supported = PerformanceObserver.supportedEntryTypes || [];
+        if (!supported.includes(type)) return;
+
+        try {
+            const observer = new PerformanceObserver(list => list.getEntries().forEach(entry => {
+                if (entry.startTime >= this.since) callback(entry);
+            }));
+            observer.observe(Object.assign({ type: type, buffered: true }, options));
+            this.observers.push(observer);
+        } catch (error) {
+            console.warn(`⚠️ Cannot observe ${type} entries:`, error);
+        }
+    }
+
+    addLayoutShift(entry) {
+        if (entry.hadRecentInput) return;
+
+        const session = this.clsSession;
+        const continuesSession = session.value > 0 &&
+            entry.startTime - session.lastTime < 1000 &&
+            entry.startTime - session.firstTime < 5000;
+
+        if (continuesSession) {
+            session.value += entry.value;
+            session.lastTime = entry.startTime;
+        } else {
+            this.clsSession = { value: entry.value, firstTime: entry.startTime, lastTime: entry.startTime };
+        }
+
+        this.cls = Math.max(this.cls, this.clsSession.value);
+    }
+
+    addInteraction(entry) {
+        if (!entry.interactionId) return;
+
+        const longest = this.interactions.get(entry.interactionId) || 0;
+        this.interactions.set(entry.interactionId, Math.max(longest, entry.duration));
+    }
+
+    // 98th percentile of interaction latency, i.e. the worst one below 50 interactions
+    getInp() {
+        if (this.interactions.size === 0) return null;
+
+        const durations = Array.from(this.interactions.values()).sort((a, b) => b - a);
+        return durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+    }
+
+    // Blocking part (over 50ms) of every long task after first contentful paint
+    getTbt() {
+        return this.longTasks
+            .filter(task => this.fcp === null || task.startTime >= this.fcp)
+            .reduce((total, task) => total + Math.max(0, task.duration - 50), 0);
+    }
+
+    // Fetch and execution timings for the scripts the optimizer touched,
+    // keyed by URL with their manifest id, tier and the actions taken
+    getScriptTimings(scriptActions) {
+        const timings = [];
+
+        scriptActions.forEach((record, src) => {
+            const resource = this.resources.get(src);
+
+            timings.push({
+                src: src,
+                id: record.id,
+                tier: record.tier,
+                actions: record.actions.slice(),
+                startTime: resource ? WixVitalsCollector.round(resource.startTime) : null,
+                fetchDuration: resource ? WixVitalsCollector.round(resource.responseEnd - resource.startTime) : null,
+                transferSize: resource ? resource.transferSize : null,
+                cached: resource ? resource.transferSize === 0 && resource.decodedBodySize > 0 : null,
+                executionTime: this.scriptExecution.has(src) ? WixVitalsCollector.round(this.scriptExecution.get(src)) : null
+            });
+        });
+
+        return timings;
+    }
+
+    getVitals(scriptActions = new Map()) {
+        const round = WixVitalsCollector.round;
+
+        return {
+            fcp: round(this.fcp),
+            lcp: round(this.lcp),
+            lcpElement: this.lcpElement,
+            cls: Math.round(this.cls * 1000) / 1000,
+            inp: round(this.getInp()),
+            tbt: round(this.getTbt()),
+            longTasks: this.longTasks.length,
+            scripts: this.getScriptTimings(scriptActions)
+        };
+    }
+
+    disconnect() {
+        this.observers.forEach(observer => observer.disconnect());
+        this.observers = [];
+        this.started = false;
+    }
+
+    static round(value) {
+        return value === null || value === undefined ? null : Math.round(value);
+    }
+
+    // Short CSS-like description of an element, e.g. img#cover.post-image
+    static describeElement(element) {
+        const id = element.id ? `#${element.id}` : '';
+        const className = typeof element.className === 'string' && element.className.trim()
+            ? `.${element.className.trim().split(/\s+/).slice(0, 2).join('.')}`
+            : '';
+        return `${element.tagName.toLowerCase()}${id}${className}`;
+    }
+}
+
+// Export for external use
+window.WixVitalsCollector = WixVitalsCollector;
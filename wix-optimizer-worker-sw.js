@@ -0,0 +1,56 @@
+// Bridge service worker for WixWorkerProxy.
+//
+// Pages that aren't cross-origin isolated can't block a worker on a shared
+// buffer, so the worker makes a synchronous XHR to `/__wix-worker-bridge`
+// instead. This service worker answers it: it forwards the request to the
+// page that owns the worker and responds with what the page sends back.
+//
+// Serve it from the site root and register it before the optimizer element,
+// which needs the `worker-bridge` attribute to use it:
+//
+//     navigator.serviceWorker.register('/wix-optimizer-worker-sw.js');
+//     <wix-blog-list-optimizer worker-bridge></wix-blog-list-optimizer>
+//
+// The companion service worker, wix-optimizer-sw.js, imports this file: sites
+// using it don't need the registration, only the attribute.
+class WixWorkerBridge {
+    static get PATH() {
+        return '/__wix-worker-bridge';
+    }
+
+    static get TIMEOUT() {
+        return 10000;
+    }
+
+    static handleFetch(event) {
+        const url = new URL(event.request.url);
+        if (url.pathname !== WixWorkerBridge.PATH || event.request.method !== 'POST') return;
+
+        event.respondWith(event.request.json()
+            .then(body => WixWorkerBridge.forward(body))
+            .catch(error => ({ error: String(error && error.message ? error.message : error) }))
+            .then(answer => new Response(JSON.stringify(answer), {
+                headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' }
+            })));
+    }
+
+    // Ask every open page; only the one owning the worker (by proxyId) answers
+    static forward(body) {
+        return self.clients.matchAll({ type: 'window' }).then(clients => new Promise(resolve => {
+            const timer = setTimeout(() => resolve({ unsupported: 'bridge timed out' }), WixWorkerBridge.TIMEOUT);
+
+            clients.forEach(client => {
+                const channel = new MessageChannel();
+                channel.port1.onmessage = event => {
+                    clearTimeout(timer);
+                    resolve(event.data);
+                };
+                client.postMessage({ type: 'wix-worker-bridge', proxyId: body.proxyId, request: body.request }, [channel.port2]);
+            });
+        }));
+    }
+}
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', event => event.waitUntil(self.clients.claim()));
+self.addEventListener('fetch', event => WixWorkerBridge.handleFetch(event));
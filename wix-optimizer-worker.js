@@ -0,0 +1,475 @@
+// Off-main-thread execution for third-party scripts.
+//
+// Scripts opted in with `type="text/wix-worker"` (or a manifest rule with
+// `"worker": true`) run in a Web Worker instead of on the main thread. Inside
+// the worker `window`, `document`, `location`, `navigator` and friends are
+// proxies: every property read, write, call and `new` is sent to the main
+// thread, performed on the real object there, and the result sent back.
+// Objects and functions cross as references, functions passed from the worker
+// (event listeners, callbacks) as stubs that post back to it.
+//
+// Reads must be synchronous, so the worker needs a blocking bridge:
+//
+// - `atomics`: a SharedArrayBuffer the worker waits on with Atomics.wait; only
+//   on cross-origin isolated pages (COOP/COEP headers)
+// - `service-worker`: a synchronous XHR to BRIDGE_PATH that the bridge service
+//   worker (wix-optimizer-worker-sw.js) answers by asking the page
+//
+// Without either, or when the worker can't fetch a script, the script falls
+// back to a normal main-thread load. Once a script has started running in the
+// worker it is never run again: when it throws, calls an API that can't work
+// from there (document.write, alert, ...) or times out, the worker is
+// terminated and the script reported as failed.
+class WixWorkerProxy {
+    constructor(options = {}) {
+        this.bridge = !!options.bridge;
+        this.timeout = options.timeout || 10000;
+        this.bufferSize = options.bufferSize || 1024 * 1024;
+        this.proxyId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        this.mode = WixWorkerProxy.detectMode(this.bridge);
+
+        this.worker = null;
+        this.buffer = null;
+
+        // Main-thread objects the worker holds references to; 0 is window
+        this.refs = new Map([[0, window]]);
+        this.refIds = new WeakMap([[window, 0]]);
+        this.nextRef = 1;
+        this.callbacks = new Map();
+
+        this.pending = new Map();
+        this.nextScript = 0;
+        this.results = [];
+
+        this.onBridgeMessage = event => {
+            const data = event.data;
+            if (!data || data.type !== 'wix-worker-bridge' || data.proxyId !== this.proxyId) return;
+            event.ports[0].postMessage(this.handle(data.request));
+        };
+    }
+
+    static get SCRIPT_TYPE() {
+        return 'text/wix-worker';
+    }
+
+    static get BRIDGE_PATH() {
+        return '/__wix-worker-bridge';
+    }
+
+    // 'atomics', 'service-worker' or null when scripts can't run in a worker
+    static detectMode(bridge) {
+        if (!('Worker' in window) || typeof Proxy !== 'function') return null;
+
+        if (window.crossOriginIsolated && typeof SharedArrayBuffer === 'function' && typeof Atomics === 'object') {
+            return 'atomics';
+        }
+
+        if (bridge && navigator.serviceWorker && navigator.serviceWorker.controller) {
+            return 'service-worker';
+        }
+
+        return null;
+    }
+
+    // Calls that block, write into the parsed document or need the user
+    static unsupportedApis() {
+        return new Map([
+            [document.write, 'document.write'],
+            [document.writeln, 'document.writeln'],
+            [window.alert, 'alert'],
+            [window.confirm, 'confirm'],
+            [window.prompt, 'prompt']
+        ].filter(([fn]) => typeof fn === 'function'));
+    }
+
+    // Swap a worker-tier tag for a script the browser runs itself
+    static runOnMainThread(tag) {
+        const script = document.createElement('script');
+
+        Array.from(tag.attributes).forEach(attribute => {
+            if (attribute.name !== 'type') script.setAttribute(attribute.name, attribute.value);
+        });
+
+        if (!tag.src) script.text = tag.text;
+        script.setAttribute('data-wix-optimized', 'worker-fallback');
+
+        tag.replaceWith(script);
+        return script;
+    }
+
+    start() {
+        if (this.worker) return true;
+        if (!this.mode) return false;
+
+        try {
+            const source = `(${WixWorkerProxy.workerSource.toString()})();`;
+            const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+            this.worker = new Worker(url);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            // e.g. a CSP without blob: in worker-src
+            console.warn('⚠️ Cannot start the script worker:', error);
+            this.mode = null;
+            return false;
+        }
+
+        const config = { mode: this.mode, timeout: this.timeout, proxyId: this.proxyId, bridgeUrl: WixWorkerProxy.BRIDGE_PATH };
+
+        if (this.mode === 'atomics') {
+            this.buffer = new SharedArrayBuffer(this.bufferSize);
+            config.buffer = this.buffer;
+        } else {
+            navigator.serviceWorker.addEventListener('message', this.onBridgeMessage);
+        }
+
+        this.worker.onmessage = event => this.onWorkerMessage(event.data);
+        this.worker.postMessage({ type: 'init', config: config });
+        this.unsupported = WixWorkerProxy.unsupportedApis();
+
+        return true;
+    }
+
+    // Run { src } or { text } in the worker; resolves { state, reason } with
+    // state 'done', 'fallback' (never started, run it on the main thread) or
+    // 'failed' (started and stopped partway, don't run it again)
+    run(script) {
+        if (!this.start()) {
+            const result = { src: script.src || null, state: 'fallback', reason: 'no sync bridge (needs cross-origin isolation or the bridge service worker)' };
+            this.results.push(result);
+            return Promise.resolve(result);
+        }
+
+        return new Promise(resolve => {
+            const id = this.nextScript++;
+            const timer = setTimeout(() => this.fail(id, 'timed out'), this.timeout);
+
+            this.pending.set(id, { id: id, src: script.src || null, resolve: resolve, timer: timer, started: false });
+            this.worker.postMessage({ type: 'run', script: { id: id, src: script.src || null, text: script.text || null } });
+        });
+    }
+
+    settle(id, state, reason) {
+        const pending = this.pending.get(id);
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        this.pending.delete(id);
+
+        const result = { src: pending.src, state: state, reason: reason || null };
+        this.results.push(result);
+        pending.resolve(result);
+    }
+
+    // A script that has started may have done part of its work: stop the
+    // worker rather than run it a second time on the main thread
+    fail(id, reason) {
+        const pending = this.pending.get(id);
+        if (!pending) return;
+
+        if (!pending.started) {
+            this.settle(id, 'fallback', reason);
+            return;
+        }
+
+        this.settle(id, 'failed', reason);
+        this.terminate();
+    }
+
+    onWorkerMessage(message) {
+        if (message.type === 'call') {
+            this.respond(this.handle(message.request));
+        } else if (message.type === 'started') {
+            const pending = this.pending.get(message.id);
+            if (pending) pending.started = true;
+        } else if (message.type === 'done') {
+            this.settle(message.id, 'done');
+        } else if (message.type === 'fallback') {
+            this.settle(message.id, 'fallback', message.reason);
+        } else if (message.type === 'failed') {
+            this.fail(message.id, message.reason);
+        } else if (message.type === 'callback-error') {
+            console.warn('⚠️ Worker script callback failed:', message.reason);
+        }
+    }
+
+    // Write the answer to the shared buffer and wake the worker up
+    respond(response) {
+        const signal = new Int32Array(this.buffer, 0, 2);
+        let bytes = new TextEncoder().encode(JSON.stringify(response));
+
+        if (bytes.length > this.bufferSize - 8) {
+            bytes = new TextEncoder().encode(JSON.stringify({ unsupported: 'value too large for the bridge' }));
+        }
+
+        new Uint8Array(this.buffer, 8, bytes.length).set(bytes);
+        signal[1] = bytes.length;
+        Atomics.store(signal, 0, 1);
+        Atomics.notify(signal, 0);
+    }
+
+    // Perform one proxied operation on the main thread
+    handle(request) {
+        try {
+            const target = this.refs.get(request.ref);
+            if (target === undefined) return { error: `unknown reference ${request.ref}` };
+
+            let value;
+            switch (request.op) {
+                case 'get':
+                    value = target[request.key];
+                    break;
+                case 'set':
+                    target[request.key] = this.decode(request.value);
+                    break;
+                case 'has':
+                    value = request.key in target;
+                    break;
+                case 'delete':
+                    value = delete target[request.key];
+                    break;
+                case 'apply':
+                    if (this.unsupported.has(target)) return { unsupported: this.unsupported.get(target) };
+                    value = Reflect.apply(target, this.decode(request.self), request.args.map(arg => this.decode(arg)));
+                    break;
+                case 'construct':
+                    value = Reflect.construct(target, request.args.map(arg => this.decode(arg)));
+                    break;
+                case 'string':
+                    value = String(target);
+                    break;
+                default:
+                    return { error: `unknown operation ${request.op}` };
+            }
+
+            return { value: this.encode(value) };
+        } catch (error) {
+            return { error: error && error.message ? error.message : String(error) };
+        }
+    }
+
+    // Main thread -> worker: primitives by value, everything else by reference
+    encode(value) {
+        if (value === undefined) return { t: 'u' };
+        if (value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+            return typeof value === 'bigint' || typeof value === 'symbol' ? { t: 'u' } : { t: 'p', v: value };
+        }
+
+        if (!this.refIds.has(value)) {
+            const id = this.nextRef++;
+            this.refs.set(id, value);
+            this.refIds.set(value, id);
+        }
+
+        return { t: 'r', id: this.refIds.get(value) };
+    }
+
+    // Worker -> main thread: references, callbacks and plain data
+    decode(encoded) {
+        switch (encoded.t) {
+            case 'p':
+                return encoded.v;
+            case 'r':
+                return this.refs.get(encoded.id);
+            case 'f':
+                return this.callbackFor(encoded.id);
+            case 'a':
+                return encoded.v.map(item => this.decode(item));
+            case 'o': {
+                const object = {};
+                Object.keys(encoded.v).forEach(key => {
+                    object[key] = this.decode(encoded.v[key]);
+                });
+                return object;
+            }
+            default:
+                return undefined;
+        }
+    }
+
+    // Same stub for the same worker function, so removeEventListener works
+    callbackFor(id) {
+        if (!this.callbacks.has(id)) {
+            const proxy = this;
+            this.callbacks.set(id, function (...args) {
+                if (!proxy.worker) return;
+                proxy.worker.postMessage({ type: 'callback', id: id, self: proxy.encode(this), args: args.map(arg => proxy.encode(arg)) });
+            });
+        }
+
+        return this.callbacks.get(id);
+    }
+
+    terminate() {
+        if (this.worker) this.worker.terminate();
+        if (this.mode === 'service-worker' && navigator.serviceWorker) {
+            navigator.serviceWorker.removeEventListener('message', this.onBridgeMessage);
+        }
+
+        this.worker = null;
+        this.pending.forEach((pending, id) => this.settle(id, pending.started ? 'failed' : 'fallback', 'worker terminated'));
+    }
+
+    getStats() {
+        return { mode: this.mode, scripts: this.results.slice() };
+    }
+
+    // Runs inside the worker (stringified, so it must be self-contained)
+    static get workerSource() {
+        return function () {
+            const REF = Symbol('ref');
+            const proxies = new Map();
+            const callbacks = new Map();
+            let nextCallback = 0;
+            let config = null;
+
+            class UnsupportedApiError extends Error {}
+
+            const decode = encoded => {
+                if (encoded.t === 'p') return encoded.v;
+                if (encoded.t === 'r') return proxyFor(encoded.id);
+                return undefined;
+            };
+
+            const encode = (value, depth = 0) => {
+                if (depth > 20) throw new UnsupportedApiError('value too deep to pass to the page');
+                if (value === undefined) return { t: 'u' };
+                if (value === null || (typeof value !== 'object' && typeof value !== 'function')) return { t: 'p', v: value };
+                if (value[REF] !== undefined) return { t: 'r', id: value[REF] };
+
+                if (typeof value === 'function') {
+                    const id = nextCallback++;
+                    callbacks.set(id, value);
+                    return { t: 'f', id: id };
+                }
+
+                if (Array.isArray(value)) return { t: 'a', v: value.map(item => encode(item, depth + 1)) };
+
+                const object = {};
+                Object.keys(value).forEach(key => {
+                    object[key] = encode(value[key], depth + 1);
+                });
+                return { t: 'o', v: object };
+            };
+
+            // Blocking round trip to the page
+            const call = request => {
+                let text;
+
+                if (config.mode === 'atomics') {
+                    const signal = new Int32Array(config.buffer, 0, 2);
+                    Atomics.store(signal, 0, 0);
+                    self.postMessage({ type: 'call', request: request });
+
+                    if (Atomics.wait(signal, 0, 0, config.timeout) === 'timed-out') {
+                        throw new UnsupportedApiError('the page did not answer');
+                    }
+                    text = new TextDecoder().decode(new Uint8Array(config.buffer, 8, signal[1]).slice());
+                } else {
+                    const xhr = new XMLHttpRequest();
+                    xhr.open('POST', config.bridgeUrl, false);
+                    xhr.send(JSON.stringify({ proxyId: config.proxyId, request: request }));
+                    text = xhr.responseText;
+                }
+
+                const response = JSON.parse(text);
+                if (response.unsupported) throw new UnsupportedApiError(`unsupported API: ${response.unsupported}`);
+                if (response.error) throw new Error(response.error);
+                return decode(response.value);
+            };
+
+            const proxyFor = id => {
+                if (proxies.has(id)) return proxies.get(id);
+
+                // A function target, so any proxy can be called and constructed
+                const proxy = new Proxy(function () {}, {
+                    get: (target, key) => {
+                        if (key === REF) return id;
+                        if (key === Symbol.toPrimitive) return () => call({ op: 'string', ref: id });
+                        if (key === Symbol.iterator) {
+                            return function* () {
+                                const length = call({ op: 'get', ref: id, key: 'length' });
+                                for (let i = 0; i < length; i++) yield call({ op: 'get', ref: id, key: String(i) });
+                            };
+                        }
+                        // Not a thenable, whatever the page object has
+                        if (typeof key === 'symbol' || key === 'then') return undefined;
+                        return call({ op: 'get', ref: id, key: key });
+                    },
+                    set: (target, key, value) => {
+                        call({ op: 'set', ref: id, key: String(key), value: encode(value) });
+                        return true;
+                    },
+                    has: (target, key) => call({ op: 'has', ref: id, key: String(key) }),
+                    deleteProperty: (target, key) => call({ op: 'delete', ref: id, key: String(key) }),
+                    apply: (target, self, args) => call({ op: 'apply', ref: id, self: encode(self), args: args.map(arg => encode(arg)) }),
+                    construct: (target, args) => call({ op: 'construct', ref: id, args: args.map(arg => encode(arg)) })
+                });
+
+                proxies.set(id, proxy);
+                return proxy;
+            };
+
+            // Page globals, resolved once on first use
+            const installGlobals = () => {
+                const win = proxyFor(0);
+                const cache = {};
+
+                ['window', 'top', 'parent'].forEach(name => {
+                    Object.defineProperty(self, name, { value: win, configurable: true, writable: true });
+                });
+
+                ['document', 'location', 'navigator', 'history', 'screen', 'localStorage', 'sessionStorage'].forEach(name => {
+                    Object.defineProperty(self, name, {
+                        configurable: true,
+                        get: () => {
+                            if (!(name in cache)) cache[name] = win[name];
+                            return cache[name];
+                        }
+                    });
+                });
+            };
+
+            // 'started' goes out before the script runs; importScripts throws a
+            // NetworkError when the fetch fails, before anything ran
+            const run = script => {
+                self.postMessage({ type: 'started', id: script.id });
+
+                try {
+                    if (script.src) {
+                        importScripts(script.src);
+                    } else {
+                        (0, eval)(script.text);
+                    }
+                    self.postMessage({ type: 'done', id: script.id });
+                } catch (error) {
+                    const reason = String(error && error.message ? error.message : error);
+                    const fetchFailed = !!error && error.name === 'NetworkError';
+                    self.postMessage({ type: fetchFailed ? 'fallback' : 'failed', id: script.id, reason: reason });
+                }
+            };
+
+            self.onmessage = event => {
+                const message = event.data;
+
+                if (message.type === 'init') {
+                    config = message.config;
+                    installGlobals();
+                } else if (message.type === 'run') {
+                    run(message.script);
+                } else if (message.type === 'callback') {
+                    const callback = callbacks.get(message.id);
+                    if (!callback) return;
+
+                    try {
+                        callback.apply(decode(message.self), message.args.map(decode));
+                    } catch (error) {
+                        self.postMessage({ type: 'callback-error', reason: String(error && error.message ? error.message : error) });
+                    }
+                }
+            };
+        };
+    }
+}
+
+// Export for external use
+window.WixWorkerProxy = WixWorkerProxy;